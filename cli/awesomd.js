@@ -0,0 +1,9 @@
+/*!
+ * The awesomd command line, see USAGE in ./build
+ */
+
+import { run } from './build'
+
+run(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode
+})
@@ -0,0 +1,272 @@
+/*!
+ * Builds a static reveal.js presentation from a markdown deck. The deck
+ * is parsed by the core of the plugin ahead of time, so that the page
+ * neither fetches the markdown nor its includes and templates.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { parseArgs } from 'util'
+import { fileURLToPath, pathToFileURL } from 'url'
+import core from '../plugin/awesoMD/core'
+
+const DEFAULT_REVEAL_URL = 'https://cdn.jsdelivr.net/npm/reveal.js@5'
+
+// the root of the repository, both the sources and the built CLI are one level below it
+const ROOT_URL = new URL('../', import.meta.url)
+
+// files of the plugin copied next to the built page: [source, destination]
+const ASSETS = [
+    ['plugin/awesoMD/awesoMD.js', 'plugin/awesoMD/awesoMD.js'],
+    ['dist/css/alerts.css', 'css/alerts.css'],
+    ['dist/css/errors.css', 'css/errors.css'],
+]
+
+// the styles and fonts of KaTeX copied for decks with math
+const MATH_ASSETS = [['dist/css/katex', 'css/katex']]
+
+export const USAGE = `Usage: awesomd build <deck.md> [options]
+
+Options:
+  --templates <dir|url>       base URL of the templates, "<base>/<slide>-template.html"
+  --out <dir>                 directory the presentation is written to (default: dist)
+  --separator <regex>         slide separator
+  --vertical-separator <regex>
+                              vertical slide separator
+  --separate-by-heading[=<levels>]
+                              start a new slide at every heading, or at the given levels, e.g. h1,h2
+  --separate-vertical-by-heading <levels>
+                              start a new vertical slide at the headings of the levels, e.g. h3
+  --profile <audiences>       audiences the presentation is built for
+  --math                      typeset $math$ with KaTeX
+  --reveal <url>              base URL of reveal.js (default: ${DEFAULT_REVEAL_URL})
+  --help                      show this help
+`
+
+/**
+ * Parses the command line arguments
+ *
+ * Throws if the command or the deck is missing
+ */
+export const parseArguments = (args) => {
+    const { values, positionals } = parseArgs({
+        // a bare --separate-by-heading separates the slides by every heading
+        args: args.map((arg) => (arg === '--separate-by-heading' ? '--separate-by-heading=' : arg)),
+        allowPositionals: true,
+        options: {
+            templates: { type: 'string' },
+            out: { type: 'string', default: 'dist' },
+            separator: { type: 'string' },
+            'vertical-separator': { type: 'string' },
+            'separate-by-heading': { type: 'string' },
+            'separate-vertical-by-heading': { type: 'string' },
+            profile: { type: 'string' },
+            math: { type: 'boolean', default: false },
+            reveal: { type: 'string', default: DEFAULT_REVEAL_URL },
+            help: { type: 'boolean', default: false },
+        },
+    })
+
+    if (values.help) {
+        return { help: true }
+    }
+
+    const [command, deck] = positionals
+    if (command !== 'build') {
+        throw new Error(command ? `Unknown command "${command}".` : 'Missing command.')
+    }
+    if (!deck) {
+        throw new Error('Missing markdown deck to build.')
+    }
+
+    return {
+        deck,
+        out: values.out,
+        templates: values.templates,
+        separator: values.separator,
+        verticalSeparator: values['vertical-separator'],
+        separateByHeading: values['separate-by-heading'] === '' ? true : values['separate-by-heading'] || false,
+        separateVerticalByHeading: values['separate-vertical-by-heading'],
+        profile: values.profile,
+        math: values.math,
+        revealUrl: values.reveal.replace(/\/$/, ''),
+    }
+}
+
+/**
+ * Fetches the text of a file or HTTP URL
+ */
+export const loadText = (url) => {
+    if (url.startsWith('file:')) {
+        return fs.readFile(new URL(url), 'utf8')
+    }
+
+    return fetch(url).then((response) => {
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}. Status: ${response.status}`)
+        }
+        return response.text()
+    })
+}
+
+/**
+ * Returns the URL of a template source given on the command line,
+ * paths are resolved against the current directory
+ */
+export const resolveTemplates = (templates) => {
+    if (!templates || /^[a-z][\w+.-]*:\/\//i.test(templates)) {
+        return templates
+    }
+
+    return pathToFileURL(path.resolve(templates)).href.replace(/\/?$/, '/')
+}
+
+/**
+ * Renders the sections of the deck at the given path
+ *
+ * Resolves with the title of the deck, its sections and the
+ * warnings and errors found while rendering them
+ */
+export const renderDeck = (deckPath, options) => {
+    const awesoMD = core({
+        loadText,
+        getBaseUrl: () => pathToFileURL(process.cwd() + path.sep).href,
+        getProfile: () => options.profile,
+    })
+    awesoMD.configure({
+        separator: options.separator,
+        verticalSeparator: options.verticalSeparator,
+        separateByHeading: options.separateByHeading,
+        separateVerticalByHeading: options.separateVerticalByHeading,
+        math: options.math,
+    })
+
+    const markdownUrl = pathToFileURL(path.resolve(deckPath)).href
+    const diagnostics = []
+
+    return loadText(markdownUrl).then((markdown) =>
+        awesoMD
+            .renderSlides(markdown, {
+                markdownUrl,
+                templates: resolveTemplates(options.templates),
+                prerendered: true,
+                diagnostics,
+            })
+            .then((sections) => {
+                // the title of the page is the "title" metadata of the deck or its first heading
+                const [content, { metadata }] = awesoMD.parseFrontMatter(markdown, {})
+                const title = metadata?.title || awesoMD.getSlideTitle(content).title || path.basename(deckPath)
+                return { title, sections, diagnostics }
+            })
+    )
+}
+
+/**
+ * Returns a diagnostic of the deck as "<file>:<line>: <level>: <message>",
+ * with the path of local files relative to the current directory
+ */
+export const formatDiagnostic = ({ level, message, file, line }) => {
+    if (file?.startsWith('file:')) {
+        file = path.relative(process.cwd(), fileURLToPath(file))
+    }
+    const location = [file, line].filter((part) => part).join(':')
+
+    return `${location ? location + ': ' : ''}${level}: ${message}`
+}
+
+/**
+ * Returns the HTML page of the presentation
+ */
+export const renderPage = ({ title, sections }, { revealUrl, math }) => {
+    const { escapeForHTML } = core()
+    // math is typeset by the plugin in the browser
+    const mathStylesheet = math ? '\n        <link rel="stylesheet" href="css/katex/katex.min.css">' : ''
+    const markdownConfig = math ? '\n                markdown: { math: true },' : ''
+
+    return `<!doctype html>
+<html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeForHTML(title)}</title>
+        <link rel="stylesheet" href="${revealUrl}/dist/reveal.css">
+        <link rel="stylesheet" href="${revealUrl}/dist/theme/white.css">
+        <link rel="stylesheet" href="css/alerts.css">
+        <link rel="stylesheet" href="css/errors.css">${mathStylesheet}
+    </head>
+    <body>
+        <div class="reveal">
+            <div class="slides">${sections}</div>
+        </div>
+        <script src="${revealUrl}/dist/reveal.js"></script>
+        <script src="plugin/awesoMD/awesoMD.js"></script>
+        <script>
+            Reveal.initialize({
+                hash: true,${markdownConfig}
+                plugins: [RevealAwesoMD],
+            })
+        </script>
+    </body>
+</html>
+`
+}
+
+/**
+ * Builds the presentation of the deck into the output directory
+ *
+ * Resolves with the path of the written page
+ */
+export const build = (options) =>
+    renderDeck(options.deck, options).then((deck) => {
+        const pagePath = path.join(options.out, 'index.html')
+        deck.diagnostics.forEach((diagnostic) => console.warn(formatDiagnostic(diagnostic)))
+
+        return fs
+            .mkdir(options.out, { recursive: true })
+            .then(() => fs.writeFile(pagePath, renderPage(deck, options)))
+            .then(() =>
+                Promise.all(
+                    [...ASSETS, ...(options.math ? MATH_ASSETS : [])].map(([source, destination]) => {
+                        const destinationPath = path.join(options.out, destination)
+                        return fs
+                            .mkdir(path.dirname(destinationPath), { recursive: true })
+                            .then(() => fs.cp(new URL(source, ROOT_URL), destinationPath, { recursive: true }))
+                            .catch((error) =>
+                                console.warn(`Could not copy ${source}, run "npm run build" first. ${error.message}`)
+                            )
+                    })
+                )
+            )
+            .then(() => pagePath)
+    })
+
+/**
+ * Runs the command line with the given arguments
+ *
+ * Resolves with the exit code
+ */
+export const run = (args) => {
+    let options
+    try {
+        options = parseArguments(args)
+    } catch (error) {
+        console.error(error.message + '\n\n' + USAGE)
+        return Promise.resolve(1)
+    }
+
+    if (options.help) {
+        console.log(USAGE)
+        return Promise.resolve(0)
+    }
+
+    return build(options).then(
+        (pagePath) => {
+            console.log(`Built ${options.deck} to ${pagePath}`)
+            return 0
+        },
+        (error) => {
+            console.error(`Failed to build ${options.deck}: ${error.message}`)
+            return 1
+        }
+    )
+}
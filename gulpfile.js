@@ -32,11 +32,17 @@ const babelConfig = {
 }
 
 gulp.task('lint', () =>
-    gulp.src(['./**/*.js', '!node_modules/**', '!plugin/awesoMD/awesoMD*.js']).pipe(eslint()).pipe(eslint.format())
+    gulp
+        .src(['./**/*.js', '!node_modules/**', '!dist/**', '!plugin/awesoMD/awesoMD*.js'])
+        .pipe(eslint())
+        .pipe(eslint.format())
 )
 
 gulp.task('format', () =>
-    gulp.src(['./**/*.js', '!node_modules/**', '!plugin/awesoMD/awesoMD*.js']).pipe(prettier()).pipe(gulp.dest('.'))
+    gulp
+        .src(['./**/*.js', '!node_modules/**', '!dist/**', '!plugin/awesoMD/awesoMD*.js'])
+        .pipe(prettier())
+        .pipe(gulp.dest('.'))
 )
 
 gulp.task('build-plugins', () => {
@@ -74,6 +80,21 @@ gulp.task('build-plugins', () => {
     )
 })
 
+// the command line runs in Node, so only the dependencies are bundled, without polyfills
+gulp.task('build-cli', () => {
+    return rollup({
+        input: './cli/awesomd.js',
+        external: (id) => /^(fs|path|util|url)(\/|$)/.test(id),
+        plugins: [resolve({ preferBuiltins: true }), commonjs()],
+    }).then((bundle) =>
+        bundle.write({
+            file: './dist/awesomd.js',
+            format: 'cjs',
+            banner: '#!/usr/bin/env node',
+        })
+    )
+})
+
 gulp.task('compileToCSS', () => {
     return gulp
         .src(['css/**/*.scss', 'css/**/*.sass'])
@@ -86,4 +107,14 @@ gulp.task('compileToCSS', () => {
 
 gulp.task('css', () => gulp.src(['css/**/*.css']).pipe(gulp.dest('./dist/css')))
 
-gulp.task('build', gulp.series('compileToCSS', 'css', 'build-plugins'))
+// the styles and fonts of the math typeset by KaTeX, so that presentations work offline
+gulp.task('katex', () =>
+    gulp
+        .src(['node_modules/katex/dist/katex.min.css', 'node_modules/katex/dist/fonts/**'], {
+            base: 'node_modules/katex/dist',
+            encoding: false,
+        })
+        .pipe(gulp.dest('./dist/css/katex'))
+)
+
+gulp.task('build', gulp.series('compileToCSS', 'css', 'katex', 'build-plugins', 'build-cli'))
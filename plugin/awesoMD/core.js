@@ -0,0 +1,2263 @@
+/*!
+ * The core of the awesoMD plugin. Splits markdown into slides and
+ * renders their metadata, templates and alerts without relying on the
+ * DOM, so that the same sections can be produced in the browser and
+ * in Node.
+ */
+
+import { marked } from 'marked'
+import yaml from 'js-yaml'
+import Mustache from 'mustache'
+import fm from 'front-matter'
+import katex from 'katex'
+
+const DEFAULT_SLIDE_SEPARATOR = '\r?\n---\r?\n',
+    DEFAULT_VERTICAL_SEPARATOR = null,
+    DEFAULT_NOTES_SEPARATOR = '^s*notes?:'
+
+// lines inserted before the headings starting a slide, see addSlideSeparator
+const HEADING_SLIDE_SEPARATOR = '<!-- awesomd-heading-slide -->',
+    HEADING_VERTICAL_SLIDE_SEPARATOR = '<!-- awesomd-heading-vertical-slide -->'
+
+export const SCRIPT_END_PLACEHOLDER = '__SCRIPT_END__'
+
+// the language of the code blocks holding the HTML rendered by fence handlers, which marked outputs as it is
+const FENCE_HTML_LANGUAGE = 'awesomd-html'
+
+// match an optional line number offset and highlight line numbers
+// [<line numbers>] or [<offset>: <line numbers>]
+const CODE_LINE_NUMBER_REGEX = /\[\s*((\d*):)?\s*([\s\d,|-]*)\]/
+
+const HTML_ESCAPE_MAP = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+}
+
+const includeRegex = /^!include\s+(\S+)\s*$/
+const codeFenceRegex = /^\s*(```|~~~)/
+const headingLevelRegex = /^(#{1,6})\s+/
+// ```js file=../src/server.js lines=10-40 [1|3-5]
+const codeImportRegex = /^\s*(?:```|~~~).*\sfile=\S/
+const codeImportParamRegex = /\s+(file|lines|region)=(\S+)/g
+const codeLinesRegex = /^(\d+)(?:-(\d*))?$/
+const codeRegionStartRegex = /#region\s+(\S+)/
+const codeRegionEndRegex = /#endregion\b/
+const codeFenceOpeningRegex = /^(\s*)(`{3,}|~{3,})(.*)$/
+// $$ on their own lines around a formula, which must not contain $$, so that two formulas in a paragraph are
+// not taken for one block, the inline forms are $formula$ and $$formula$$, where the dollar signs must not be
+// next to spaces inside, so that prices like "$5 and $10" stay text and inline math stays within a line and
+// out of code spans
+const mathBlockRegex = /^ {0,3}\$\$((?:[^$]|\$(?!\$))+)\$\$[ \t]*(?:\n+|$)/
+const mathBlockStartRegex = /^ {0,3}\$\$/m
+const mathInlineRegex = /^(\$\$?)(?![\s$])((?:\\[^\n]|[^\\$`\n])+?)(?<!\s)\1(?!\d)/
+// the HTML of a fence handler which is not rendered yet, see renderFencedBlocks
+const pendingFenceRegex = /__AWESOMD_FENCE_(\d+)__/g
+// the markers are removed together with the line break between them and the included markdown
+const includeScopeRegex = /^<!-- awesomd-scope: (.*) -->$\n?|\n?^<!-- awesomd-scope-end -->$/gm
+const includeScopeLineRegex = /^<!-- awesomd-scope(?:: (.*)|-end) -->$/
+const metadataPlaceholderRegex = /(\\)?\{\{\s*metadata\.([\w.-]+)\s*\}\}/g
+const titleRegex = /^(#+)\r*(.*?)\r*$/m
+const tocPlaceholderRegex = /^[ \t]*\[\[toc\]\][ \t]*$/m
+const yamlRegex = /```(yaml|yml)\n([\s\S]*?)```(\n[\s\S]*)?/g
+// the values may be negated conditions, e.g. ::if:!profile.internal
+const headingWithMetadataRegex = /^#+\s.*::\w+: *!?\w+.*$/m
+const metadataRegex = /::(\w+):([^::\n]*)/g
+// an alert is a blockquote starting with "> [!TYPE]", optionally followed by a fold marker and a title
+const alertRegex = /^ {0,3}>[ \t]*\[!(\w+)\]([-+]?)[ \t]*(.*)(?:\n|$)((?: {0,3}>.*(?:\n|$))*)/
+const alertStartRegex = /^ {0,3}>[ \t]*\[!\w+\]/m
+const templateDependencyRegex = /\{\{\s*[<>]\s*([\w.-]+)\s*\}\}/g
+const templateLayoutRegex = /^\s*\{\{<\s*([\w.-]+)\s*\}\}([\s\S]*)\{\{\/\s*\1\s*\}\}\s*$/
+const templateSchemaRegex = /^\s*\{\{!\s*schema\s*\n([\s\S]*?)\}\}/
+const templateBlockRegex = /\{\{\$\s*([\w.-]+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g
+
+// metadata keys with a meaning to the plugin itself, which templates do not need to declare
+const RESERVED_METADATA_KEYS = [
+    'slide',
+    'toc',
+    'tocHighlight',
+    'markdownMetadata',
+    'hidden',
+    'audience',
+    'if',
+    'id',
+    'notes',
+    'animate',
+    'stack',
+]
+
+// metadata keys of a single slide, which are not passed on to the following slides
+const SLIDE_METADATA_KEYS = ['id', 'notes', 'stack']
+
+// the name of an attribute set by the "stack" metadata
+const attributeNameRegex = /^[a-z_:][\w:.-]*$/i
+
+// "{+}" or e.g. "{+fade-up 2}" at the end of an element, see splitFragmentMarker
+const fragmentMarkerRegex = /[ \t]*\{\+([\w \t-]*)\}\s*$/
+
+// a top-level heading naming the slide the following notes of a notes file belong to
+const notesHeadingRegex = /^#[ \t]+(\S+)[ \t]*$/
+
+const alertIcons = {
+    note: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16"><path d="M0 8a8 8 0 1 1 16 0A8 8 0 0 1 0 8Zm8-6.5a6.5 6.5 0 1 0 0 13 6.5 6.5 0 0 0 0-13ZM6.5 7.75A.75.75 0 0 1 7.25 7h1a.75.75 0 0 1 .75.75v2.75h.25a.75.75 0 0 1 0 1.5h-2a.75.75 0 0 1 0-1.5h.25v-2h-.25a.75.75 0 0 1-.75-.75ZM8 6a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z"/></svg>`,
+    tip: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16"><path d="M8 1.5c-2.363 0-4 1.69-4 3.75 0 .984.424 1.625.984 2.304l.214.253c.223.264.47.556.673.848.284.411.537.896.621 1.49a.75.75 0 0 1-1.484.211c-.04-.282-.163-.547-.37-.847a8.456 8.456 0 0 0-.542-.68c-.084-.1-.173-.205-.268-.32C3.201 7.75 2.5 6.766 2.5 5.25 2.5 2.31 4.863 0 8 0s5.5 2.31 5.5 5.25c0 1.516-.701 2.5-1.328 3.259-.095.115-.184.22-.268.319-.207.245-.383.453-.541.681-.208.3-.33.565-.37.847a.751.751 0 0 1-1.485-.212c.084-.593.337-1.078.621-1.489.203-.292.45-.584.673-.848.075-.088.147-.173.213-.253.561-.679.985-1.32.985-2.304 0-2.06-1.637-3.75-4-3.75ZM5.75 12h4.5a.75.75 0 0 1 0 1.5h-4.5a.75.75 0 0 1 0-1.5ZM6 15.25a.75.75 0 0 1 .75-.75h2.5a.75.75 0 0 1 0 1.5h-2.5a.75.75 0 0 1-.75-.75Z"/></svg>`,
+    caution: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16"><path d="M4.47.22A.749.749 0 0 1 5 0h6c.199 0 .389.079.53.22l4.25 4.25c.141.14.22.331.22.53v6a.749.749 0 0 1-.22.53l-4.25 4.25A.749.749 0 0 1 11 16H5a.749.749 0 0 1-.53-.22L.22 11.53A.749.749 0 0 1 0 11V5c0-.199.079-.389.22-.53Zm.84 1.28L1.5 5.31v5.38l3.81 3.81h5.38l3.81-3.81V5.31L10.69 1.5ZM8 4a.75.75 0 0 1 .75.75v3.5a.75.75 0 0 1-1.5 0v-3.5A.75.75 0 0 1 8 4Zm0 8a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z"/></svg>`,
+    important: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16"><path d="M0 1.75C0 .784.784 0 1.75 0h12.5C15.216 0 16 .784 16 1.75v9.5A1.75 1.75 0 0 1 14.25 13H8.06l-2.573 2.573A1.458 1.458 0 0 1 3 14.543V13H1.75A1.75 1.75 0 0 1 0 11.25Zm1.75-.25a.25.25 0 0 0-.25.25v9.5c0 .138.112.25.25.25h2a.75.75 0 0 1 .75.75v2.19l2.72-2.72a.749.749 0 0 1 .53-.22h6.5a.25.25 0 0 0 .25-.25v-9.5a.25.25 0 0 0-.25-.25Zm7 2.25v2.5a.75.75 0 0 1-1.5 0v-2.5a.75.75 0 0 1 1.5 0ZM9 9a1 1 0 1 1-2 0 1 1 0 0 1 2 0Z"/></svg>`,
+    warning: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16"><path d="M6.457 1.047c.659-1.234 2.427-1.234 3.086 0l6.082 11.378A1.75 1.75 0 0 1 14.082 15H1.918a1.75 1.75 0 0 1-1.543-2.575Zm1.763.707a.25.25 0 0 0-.44 0L1.698 13.132a.25.25 0 0 0 .22.368h12.164a.25.25 0 0 0 .22-.368Zm.53 3.996v2.5a.75.75 0 0 1-1.5 0v-2.5a.75.75 0 0 1 1.5 0ZM9 11a1 1 0 1 1-2 0 1 1 0 0 1 2 0Z"/></svg>`,
+}
+
+const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: '\u00a0',
+}
+
+/**
+ * Fetches the text of the given URL, used when the environment
+ * does not provide a loader
+ */
+const fetchText = (url) =>
+    fetch(url).then((response) => {
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}. Status: ${response.status}`)
+        }
+        return response.text()
+    })
+
+/**
+ * Returns the text of the given HTML like the textContent of
+ * an element does, used when the environment does not provide one
+ */
+const stripHTML = (html) =>
+    html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+        .replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                return String.fromCodePoint(parseInt(name.slice(1).replace(/^x/i, '0x')))
+            }
+            return HTML_ENTITIES[name] ?? entity
+        })
+
+/**
+ * Returns the number of characters to insert, delete or replace
+ * to turn one string into the other
+ */
+const getEditDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i]
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            )
+        }
+        previous = current
+    }
+    return previous[b.length]
+}
+
+// The marked extensions of the core configured last, keyed by their name. marked is
+// shared by all cores, so the extensions are registered with it once, see configure
+let markedExtensions
+
+/**
+ * Returns a marked extension which parses and renders with the
+ * extension of the same name of the core configured last, if it has one
+ */
+const createMarkedExtension = (name, level) => ({
+    name,
+    level,
+    start: function (src) {
+        return markedExtensions[name]?.start.call(this, src)
+    },
+    tokenizer: function (src, tokens) {
+        return markedExtensions[name]?.tokenizer.call(this, src, tokens)
+    },
+    renderer: function (token) {
+        return markedExtensions[name].renderer.call(this, token)
+    },
+})
+
+/**
+ * Creates the core for the given environment:
+ *
+ * - loadText: returns a promise of the text of a URL, defaults to fetch
+ * - getBaseUrl: returns the URL that relative template and include URLs are
+ *   resolved against, the presentation document in the browser
+ * - templatesUrl: the URL the templates are loaded from when there is no
+ *   template source, resolved against the base URL
+ * - getPageTemplate: returns the template with the given name defined in
+ *   the presentation page, if any
+ * - getProfile: returns the profile the presentation is shown for, if any
+ * - htmlToText: returns the text of the HTML of a rendered template
+ */
+const core = ({
+    loadText = fetchText,
+    getBaseUrl = () => undefined,
+    templatesUrl = 'templates/',
+    getPageTemplate = () => undefined,
+    getProfile = () => undefined,
+    htmlToText = stripHTML,
+} = {}) => {
+    // The markdown config of the presentation, see configure
+    let markdownConfig
+
+    // Templates fetched for the deck, keyed by their URL
+    const templateCache = {}
+    const templateRequests = {}
+
+    // Alert types rendered for "> [!TYPE]" blocks, keyed by their lower case name
+    const alertTypes = Object.fromEntries(Object.entries(alertIcons).map(([type, icon]) => [type, { icon }]))
+
+    // Renderers of code blocks, keyed by their language
+    const fenceHandlers = {}
+
+    return {
+        /**
+         * Applies the markdown config of the presentation: registers
+         * its alerts and fence handlers and sets up marked with its options,
+         * the code renderer and the alert extension
+         *
+         * marked renders with the config applied last, also of another core
+         */
+        configure: function (config = {}) {
+            markdownConfig = config
+
+            let { renderer, animateLists, alerts, fenceHandlers, math, ...markedOptions } = config
+
+            Object.entries(alerts || {}).forEach(([name, alert]) => this.registerAlert(name, alert))
+            Object.entries(fenceHandlers || {}).forEach(([language, handler]) =>
+                this.registerFenceHandler(language, handler)
+            )
+
+            if (!renderer) {
+                renderer = new marked.Renderer()
+
+                renderer.code = (code, language) => {
+                    // Off by default
+                    let lineNumberOffset = ''
+                    let lineNumbers = ''
+
+                    // Users can opt in to show line numbers and highlight
+                    // specific lines.
+                    // ```javascript []        show line numbers
+                    // ```javascript [1,4-8]   highlights lines 1 and 4-8
+                    // optional line number offset:
+                    // ```javascript [25: 1,4-8]   start line numbering at 25,
+                    //                             highlights lines 1 (numbered as 25) and 4-8 (numbered as 28-32)
+                    if (CODE_LINE_NUMBER_REGEX.test(language)) {
+                        const lineNumberOffsetMatch = language.match(CODE_LINE_NUMBER_REGEX)[2]
+                        if (lineNumberOffsetMatch) {
+                            lineNumberOffset = `data-ln-start-from="${lineNumberOffsetMatch.trim()}"`
+                        }
+
+                        lineNumbers = language.match(CODE_LINE_NUMBER_REGEX)[3].trim()
+                        lineNumbers = `data-line-numbers="${lineNumbers}"`
+                        language = language.replace(CODE_LINE_NUMBER_REGEX, '').trim()
+                    }
+
+                    // Escape before this gets injected into the DOM to
+                    // avoid having the HTML parser alter our code before
+                    // highlight.js is able to read it
+                    code = this.escapeForHTML(code)
+
+                    // return `<pre><code ${lineNumbers} class="${language}">${code}</code></pre>`;
+
+                    return `<pre><code ${lineNumbers} ${lineNumberOffset} class="${language}">${code}</code></pre>`
+                }
+            }
+
+            // marked.use changes the renderer, which is kept as it is for the next configure
+            renderer = Object.create(renderer)
+
+            if (animateLists === true) {
+                renderer.listitem = (text) => `<li class="fragment">${text}</li>`
+            }
+
+            marked.setOptions({
+                renderer,
+                ...markedOptions,
+            })
+
+            marked.use({ renderer: this.getFragmentRenderer() })
+            // the HTML of fence handlers, also with a renderer of the config
+            marked.use({
+                renderer: { code: (code, language) => (language === FENCE_HTML_LANGUAGE ? code + '\n' : false) },
+            })
+
+            const isMarkedSetUp = markedExtensions !== undefined
+            markedExtensions = Object.fromEntries(
+                [this.getAlertExtension(), ...(math ? this.getMathExtensions(math === true ? {} : math) : [])].map(
+                    (extension) => [extension.name, extension]
+                )
+            )
+            if (!isMarkedSetUp) {
+                marked.use({
+                    extensions: [
+                        createMarkedExtension('alert', 'block'),
+                        createMarkedExtension('mathBlock', 'block'),
+                        createMarkedExtension('mathInline', 'inline'),
+                    ],
+                })
+            }
+        },
+
+        /**
+         * Returns the marked extensions typesetting math with KaTeX, with the
+         * options of the "math" config, e.g. { macros: { '\\R': '\\mathbb{R}' } }
+         *
+         * $$
+         * \sum_{i=1}^n x_i
+         * $$
+         *
+         * is rendered as a block and $x_1$ inline, $$x_1$$ inline in display mode
+         */
+        getMathExtensions: function (katexOptions) {
+            const renderMath = (tex, displayMode) =>
+                katex.renderToString(tex, { throwOnError: false, ...katexOptions, displayMode })
+
+            return [
+                {
+                    name: 'mathBlock',
+                    level: 'block',
+                    start: (src) => src.match(mathBlockStartRegex)?.index,
+                    tokenizer: (src) => {
+                        const match = mathBlockRegex.exec(src)
+                        if (match) {
+                            return { type: 'mathBlock', raw: match[0], text: match[1].trim() }
+                        }
+                    },
+                    renderer: (token) => renderMath(token.text, true) + '\n',
+                },
+                {
+                    name: 'mathInline',
+                    level: 'inline',
+                    start: (src) => src.indexOf('$'),
+                    tokenizer: (src) => {
+                        const match = mathInlineRegex.exec(src)
+                        if (match) {
+                            return { type: 'mathInline', raw: match[0], text: match[2], displayMode: match[1] === '$$' }
+                        }
+                    },
+                    renderer: (token) => renderMath(token.text, token.displayMode),
+                },
+            ]
+        },
+
+        /**
+         * Returns the marked renderer methods for elements with a fragment marker
+         * which cannot be turned into fragments after rendering, see addFragments
+         * of the plugin: headings would get an id containing the marker
+         */
+        getFragmentRenderer: function () {
+            const self = this
+
+            return {
+                heading: function (text, level, raw, slugger) {
+                    const [headingText, fragment] = self.splitFragmentMarker(text)
+                    if (!fragment) {
+                        return false
+                    }
+
+                    const id = this.options.headerIds
+                        ? ` id="${this.options.headerPrefix}${slugger.slug(self.splitFragmentMarker(raw)[0])}"`
+                        : ''
+                    const fragmentIndex = fragment.index ? ` data-fragment-index="${fragment.index}"` : ''
+                    return `<h${level}${id} class="${fragment.className}"${fragmentIndex}>${headingText}</h${level}>\n`
+                },
+            }
+        },
+
+        /**
+         * Registers an alert type rendered for "> [!NAME]" blocks, or
+         * changes an existing one
+         *
+         * - icon: the markup of the icon, usually an SVG
+         * - title: the title of the alert, defaults to the capitalized name
+         * - className: the classes of the alert, defaults to the name
+         */
+        registerAlert: function (name, alert = {}) {
+            const type = name.toLowerCase()
+            const alertType = { ...alertTypes[type] }
+
+            ;['icon', 'title', 'className'].forEach((key) => {
+                if (alert[key] !== undefined) {
+                    alertType[key] = alert[key]
+                }
+            })
+
+            alertTypes[type] = alertType
+        },
+
+        /**
+         * Registers a renderer for the code blocks of the given language, e.g.
+         * "mermaid", which is called with the code, the info string and the
+         * metadata of the slide and returns HTML or a promise of HTML
+         *
+         * Code blocks are rendered as code if the handler returns no HTML
+         */
+        registerFenceHandler: function (language, handler) {
+            fenceHandlers[language] = handler
+        },
+
+        /**
+         * Inspects the given options and fills out default
+         * values for what's not defined.
+         */
+        getSlidifyOptions: function (options) {
+            options = options || {}
+            options.separator = options.separator || markdownConfig?.separator || DEFAULT_SLIDE_SEPARATOR
+            options.verticalSeparator =
+                options.verticalSeparator || markdownConfig?.verticalSeparator || DEFAULT_VERTICAL_SEPARATOR
+            options.notesSeparator = options.notesSeparator || markdownConfig?.notesSeparator || DEFAULT_NOTES_SEPARATOR
+            options.separateByHeading = options.separateByHeading || markdownConfig?.separateByHeading || false
+            options.separateVerticalByHeading =
+                options.separateVerticalByHeading || markdownConfig?.separateVerticalByHeading
+            options.templates = options.templates || markdownConfig?.templates
+            options.markdownMetadata = options.markdownMetadata || markdownConfig?.markdownMetadata
+            options.tocHighlight = options.tocHighlight || markdownConfig?.tocHighlight
+            options.profile = options.profile || getProfile() || markdownConfig?.profile
+            options.notesFile = options.notesFile || markdownConfig?.notesFile
+            options.attributes = options.attributes || ''
+
+            return options
+        },
+
+        /**
+         * Helper function for constructing a markdown slide.
+         */
+        createMarkdownSlide: function (content, options) {
+            options = this.getSlidifyOptions(options)
+
+            content = this.renderFencedBlocks(content, options)
+
+            const [slideContent, ...notesSections] = content.split(new RegExp(options.notesSeparator, 'mgi'))
+            const notes = this.getSlideNotes(notesSections, options)
+
+            content = slideContent + (notes ? '<aside class="notes">' + marked(notes) + '</aside>' : '')
+
+            // prevent script end tags in the content from interfering
+            // with parsing
+            content = content.replace(/<\/script>/g, SCRIPT_END_PLACEHOLDER)
+
+            if (options.errors?.length) {
+                options.errors.forEach((error) =>
+                    this.reportDiagnostic(options, { message: `Slide ${options.slideNumber}: ${error}` })
+                )
+                return '<script type="text/template">' + this.renderMetadataErrors(options) + '</script>'
+            }
+
+            // render the template with the content only if the slide has one,
+            // tables of contents are rendered without template unless there is one
+            const isTableOfContentsWithoutTemplate =
+                options.metadata?.slide === 'toc' && typeof this.getTemplate('toc', options) !== 'string'
+            if (options.metadata?.slide && !isTableOfContentsWithoutTemplate) {
+                content = this.renderTemplate(content, options)
+            }
+
+            return '<script type="text/template">' + content + '</script>'
+        },
+
+        /**
+         * Replaces the code blocks of the slide with a fence handler, see
+         * registerFenceHandler, with the HTML of the handler
+         *
+         * HTML promised by a handler is rendered by renderPendingFences if
+         * options.pendingFences is an array, otherwise the code block is kept
+         */
+        renderFencedBlocks: function (content, options) {
+            const lines = content.split('\n')
+            const renderedLines = []
+
+            for (let index = 0; index < lines.length; index++) {
+                const openingMatch = lines[index].match(codeFenceOpeningRegex)
+                if (!openingMatch) {
+                    renderedLines.push(lines[index])
+                    continue
+                }
+
+                const closingRegex = new RegExp(`^\\s*${openingMatch[2][0]}{${openingMatch[2].length},}\\s*$`)
+                let end = index + 1
+                while (end < lines.length && !closingRegex.test(lines[end])) {
+                    end++
+                }
+
+                const block = lines.slice(index, end + 1).join('\n')
+                renderedLines.push(this.renderFencedBlock(block, lines.slice(index + 1, end), openingMatch, options))
+                index = end
+            }
+
+            return renderedLines.join('\n')
+        },
+
+        /**
+         * Renders a code block with the fence handler of its language, if any,
+         * see renderFencedBlocks
+         */
+        renderFencedBlock: function (block, codeLines, [, indentation, , info], options) {
+            const handler = fenceHandlers[info.trim().split(/\s+/)[0]]
+            if (!handler) {
+                return block
+            }
+
+            const indentationRegex = new RegExp(`^ {0,${indentation.length}}`)
+            const code = codeLines.map((line) => line.replace(indentationRegex, '')).join('\n')
+            const html = this.renderFenceHandler(handler, code, info.trim(), options)
+
+            if (html instanceof Promise && options.pendingFences instanceof Array) {
+                const pendingFence = { block, indentation, options, html }
+                return `__AWESOMD_FENCE_${options.pendingFences.push(pendingFence) - 1}__`
+            }
+            return typeof html === 'string' ? this.createHtmlBlock(html, indentation) : block
+        },
+
+        /**
+         * Calls the fence handler, errors are reported and
+         * result in no HTML
+         */
+        renderFenceHandler: function (handler, code, info, options) {
+            const reportError = (error) => {
+                console.error(error)
+                this.reportDiagnostic(options, { message: `Failed to render the "${info}" block: ${error.message}` })
+            }
+
+            try {
+                const html = handler(code, info, options.metadata || {})
+                return typeof html?.then === 'function' ? Promise.resolve(html).catch(reportError) : html
+            } catch (error) {
+                reportError(error)
+                return undefined
+            }
+        },
+
+        /**
+         * Returns a code block holding the HTML, which marked outputs as it is,
+         * so that its blank lines do not end it like other HTML blocks
+         */
+        createHtmlBlock: function (html, indentation = '') {
+            const fence = '`'.repeat(Math.max(2, ...(html.match(/`+/g) || []).map((ticks) => ticks.length)) + 1)
+            return [fence + FENCE_HTML_LANGUAGE, ...html.split('\n'), fence]
+                .map((line) => indentation + line)
+                .join('\n')
+        },
+
+        /**
+         * Replaces the code blocks with promised HTML in the sections,
+         * see renderFencedBlocks, once their handlers are done
+         */
+        renderPendingFences: function (html, pendingFences) {
+            return Promise.all(pendingFences.map((pendingFence) => pendingFence.html)).then((fenceHtml) =>
+                html.replace(pendingFenceRegex, (placeholder, index) => {
+                    const { block, indentation } = pendingFences[index]
+                    const renderedBlock =
+                        typeof fenceHtml[index] === 'string'
+                            ? this.createHtmlBlock(fenceHtml[index], indentation)
+                            : block
+                    // like the rest of the slide content, see createMarkdownSlide
+                    return renderedBlock.replace(/<\/script>/g, SCRIPT_END_PLACEHOLDER)
+                })
+            )
+        },
+
+        /**
+         * Returns the speaker notes of the slide, which are its "notes" metadata,
+         * the sections after its notes separators and its notes in the notes
+         * file of the deck, in this order
+         */
+        getSlideNotes: function (notesSections, options) {
+            return [options.metadata?.notes, ...notesSections, options.notesById?.[options.id]]
+                .filter((notes) => notes !== undefined && notes !== null)
+                .map((notes) => String(notes).trim())
+                .filter((notes) => notes)
+                .join('\n\n')
+        },
+
+        /**
+         * Replaces the {{ metadata.<key> }} placeholders in the slide content
+         * with the metadata values, placeholders of missing values are kept.
+         *
+         * A placeholder preceded by a backslash, \\{{ metadata.<key> }}, is kept
+         * as literal text without the backslash.
+         */
+        interpolateMetadata: function (content, metadata = {}) {
+            return content.replace(metadataPlaceholderRegex, (placeholder, escaped, path) => {
+                if (escaped) {
+                    return placeholder.substring(1)
+                }
+
+                const value = path.split('.').reduce((value, key) => value?.[key], metadata)
+                if (value === undefined || value === null) {
+                    return placeholder
+                }
+                return value instanceof Array ? value.join(', ') : String(value)
+            })
+        },
+
+        /**
+         * Splits a data string into multiple slides based
+         * on the passed in separator arguments and separates
+         * the metadata of every slide.
+         *
+         * Returns the stack of slides as [content, options] pairs,
+         * vertical stacks are nested arrays of such pairs
+         */
+        splitSlides: function (markdown, options) {
+            options = this.getSlidifyOptions(options)
+
+            // the source of every line, kept in sync with the changes to the markdown
+            let lineMap = this.createLineMap(markdown, this.getSourceFile(options))
+
+            // add slide separator in the case heading indicates the new slide
+            if (options.separateByHeading) {
+                options.slideSeparator = HEADING_SLIDE_SEPARATOR
+                options.verticalSlideSeparator = HEADING_VERTICAL_SLIDE_SEPARATOR
+                const lines = markdown.split('\n')
+                markdown = this.addSlideSeparator(markdown, options)
+
+                // the added separators have no source
+                let index = 0
+                lineMap = markdown.split('\n').map((line) => (line === lines[index] ? lineMap[index++] : null))
+            }
+
+            // the separators added before headings are split like the separators of the markdown
+            const toSeparatorSource = (separator) => '\\r?\\n' + separator + '\\r?\\n'
+            const horizontalSeparators = [options.separator],
+                verticalSeparators = [options.verticalSeparator]
+            if (options.separateByHeading) {
+                horizontalSeparators.push(toSeparatorSource(HEADING_SLIDE_SEPARATOR))
+                verticalSeparators.push(toSeparatorSource(HEADING_VERTICAL_SLIDE_SEPARATOR))
+            }
+
+            const separatorRegex = new RegExp(
+                    [...horizontalSeparators, ...verticalSeparators].filter((separator) => separator).join('|'),
+                    'mg'
+                ),
+                horizontalSeparatorRegex = new RegExp(horizontalSeparators.join('|'))
+
+            let matches,
+                lastIndex = 0,
+                isHorizontal,
+                wasHorizontal = true,
+                content
+            const sectionStack = []
+
+            // separates default metadata from the markdown file
+            ;[markdown, options] = this.parseFrontMatter(markdown, options)
+            lineMap = lineMap.slice(lineMap.length - markdown.split('\n').length)
+
+            // the slide content with the source lines it starts at the given index
+            const createSlide = (start, end) => {
+                const content = markdown.substring(start, end)
+                const startLine = markdown.substring(0, start).split('\n').length - 1
+                return { content, source: this.getSourceLines(content, lineMap.slice(startLine)) }
+            }
+
+            // iterate until all blocks between separators are stacked up
+            while ((matches = separatorRegex.exec(markdown))) {
+                // determine direction (horizontal by default)
+                isHorizontal = horizontalSeparatorRegex.test(matches[0])
+
+                if (!isHorizontal && wasHorizontal) {
+                    // create vertical stack
+                    sectionStack.push([])
+                }
+
+                // pluck slide content from markdown input
+                content = createSlide(lastIndex, matches.index)
+
+                if (isHorizontal && wasHorizontal) {
+                    // add to horizontal stack
+                    sectionStack.push(content)
+                } else {
+                    // add to vertical stack
+                    sectionStack[sectionStack.length - 1].push(content)
+                }
+
+                lastIndex = separatorRegex.lastIndex
+                wasHorizontal = isHorizontal
+            }
+
+            // add the remaining slide
+            ;(wasHorizontal ? sectionStack : sectionStack[sectionStack.length - 1]).push(createSlide(lastIndex))
+
+            // metadata of the included files the current slide is part of
+            const includeScopes = []
+
+            const separateSlide = (slide, slideOptions) => {
+                if (slideOptions.metadata) {
+                    slideOptions.metadata = Object.fromEntries(
+                        Object.entries(slideOptions.metadata).filter(([key]) => !SLIDE_METADATA_KEYS.includes(key))
+                    )
+                }
+
+                let slideContent
+                ;[slideContent, slideOptions] = this.applyIncludeScopes(
+                    slide.content,
+                    { ...slideOptions, ...slide.source },
+                    includeScopes
+                )
+                ;[slideContent, slideOptions] = this.separateInlineMetadataAndMarkdown(slideContent, slideOptions)
+                return [this.interpolateMetadata(slideContent, slideOptions.metadata), slideOptions]
+            }
+
+            const reportMisplacedStack = (slideOptions) => {
+                if (slideOptions.metadata?.stack !== undefined) {
+                    this.reportDiagnostic(slideOptions, {
+                        level: 'warning',
+                        message: 'The "stack" metadata only applies to the first slide of a vertical stack.',
+                    })
+                }
+            }
+
+            const slides = sectionStack.map((slide, h) => {
+                // slideOptions is created to avoid mutating the original options object with default metadata
+                let slideOptions = { ...options, slideNumber: `${h + 1}` }
+
+                // vertical, the slides inherit the "stack" metadata of the first slide but not each other's
+                if (slide instanceof Array) {
+                    return slide.map((child, v) => {
+                        const [childContent, childOptions] = separateSlide(child, {
+                            ...slideOptions,
+                            slideNumber: `${h + 1}.${v + 1}`,
+                        })
+                        if (v === 0) {
+                            slideOptions = this.getStackOptions(slideOptions, childOptions)
+                            childOptions.stackAttributes = slideOptions.stackAttributes
+                        } else {
+                            reportMisplacedStack(childOptions)
+                        }
+                        return [childContent, childOptions]
+                    })
+                }
+
+                const horizontalSlide = separateSlide(slide, slideOptions)
+                reportMisplacedStack(horizontalSlide[1])
+                return horizontalSlide
+            })
+
+            // slides excluded by their metadata do not produce a section
+            return slides.reduce((visibleSlides, slide) => {
+                if (slide[0] instanceof Array) {
+                    const children = slide.filter(([, slideOptions]) => this.isSlideVisible(slideOptions))
+                    if (children.length) {
+                        visibleSlides.push(children)
+                    }
+                } else if (this.isSlideVisible(slide[1])) {
+                    visibleSlides.push(slide)
+                }
+                return visibleSlides
+            }, [])
+        },
+
+        /**
+         * Checks the metadata of the slide to decide if it is part of the deck:
+         *
+         * hidden: true          the slide is left out
+         * audience: [internal]  the slide is only shown to one of the audiences of the profile
+         * if: metadata.<key>    the slide is only shown if the metadata value is set,
+         *                       "profile.<audience>" checks the profile and "!" negates the condition
+         *
+         * The profile is set with the "profile" query parameter or the "markdown.profile" config
+         */
+        isSlideVisible: function (options) {
+            const metadata = options.metadata || {}
+
+            if (this.isTruthy(metadata.hidden)) {
+                return false
+            }
+
+            if (metadata.audience) {
+                const profiles = this.toList(options.profile)
+                if (!this.toList(metadata.audience).some((audience) => profiles.includes(audience))) {
+                    return false
+                }
+            }
+
+            if ('if' in metadata) {
+                return this.evaluateCondition(metadata.if, metadata, options.profile)
+            }
+
+            return true
+        },
+
+        /**
+         * Evaluates the condition of the "if" metadata
+         */
+        evaluateCondition: function (condition, metadata, profile) {
+            if (typeof condition !== 'string') {
+                return this.isTruthy(condition)
+            }
+
+            const conditionMatch = condition.trim().match(/^(!?)\s*(metadata|profile)\.([\w.-]+)$/)
+            if (!conditionMatch) {
+                return this.isTruthy(condition)
+            }
+
+            const [, negation, source, path] = conditionMatch
+            const value =
+                source === 'profile'
+                    ? this.toList(profile).includes(path)
+                    : this.isTruthy(path.split('.').reduce((value, key) => value?.[key], metadata))
+
+            return negation ? !value : value
+        },
+
+        /**
+         * Checks a metadata value, where inline metadata values are always strings
+         */
+        isTruthy: function (value) {
+            return ![undefined, null, false, 0, '', 'false', '0'].includes(value)
+        },
+
+        /**
+         * Returns a list from an array or a comma separated string
+         */
+        toList: function (value) {
+            if (value instanceof Array) {
+                return value.map(String)
+            }
+            if (value === undefined || value === null || value === '') {
+                return []
+            }
+            return String(value)
+                .split(',')
+                .map((item) => item.trim())
+                .filter((item) => item)
+        },
+
+        /**
+         * Flattens the stack returned by splitSlides into
+         * the list of [content, options] pairs of all slides
+         */
+        flattenSlides: function (sectionStack) {
+            return sectionStack.flatMap((slide) => (slide[0] instanceof Array ? slide : [slide]))
+        },
+
+        /**
+         * Returns the options the following slides of a vertical stack start from,
+         * given the options the stack starts from and the options of its first slide.
+         * The "stack" metadata of the first slide is passed on to all slides of the
+         * stack, its "attributes" are added to the section of the stack:
+         *
+         * ```yaml
+         * stack:
+         *   presenter: Jane
+         *   attributes:
+         *     data-background-color: '#1e3a5f'
+         * ```
+         */
+        getStackOptions: function (options, firstSlideOptions) {
+            const stack = firstSlideOptions.metadata?.stack
+            if (stack === undefined) {
+                return options
+            }
+
+            const [metadata, attributes] = this.splitStackMetadata(stack)
+            if (!metadata) {
+                this.reportDiagnostic(firstSlideOptions, {
+                    message: 'The "stack" metadata must be a map of the metadata of the stack.',
+                })
+                return options
+            }
+
+            const stackAttributes = Object.entries(attributes)
+                .filter(([name]) => {
+                    if (attributeNameRegex.test(name)) {
+                        return true
+                    }
+                    this.reportDiagnostic(firstSlideOptions, {
+                        level: 'warning',
+                        message: `The stack attribute "${name}" is not a valid attribute name.`,
+                    })
+                    return false
+                })
+                .map(([name, value]) => ` ${name}="${this.escapeForHTML(String(value))}"`)
+                .join('')
+
+            return { ...options, metadata: { ...options.metadata, ...metadata }, stackAttributes }
+        },
+
+        /**
+         * Splits the "stack" metadata into the metadata inherited by the slides of
+         * the stack and the attributes of its section, or undefined if it is not a map
+         */
+        splitStackMetadata: function (stack) {
+            if (!stack || typeof stack !== 'object' || stack instanceof Array) {
+                return [undefined, {}]
+            }
+
+            const { attributes, ...metadata } = stack
+            return [metadata, attributes && typeof attributes === 'object' ? attributes : {}]
+        },
+
+        /**
+         * Returns the URL of the markdown file of the options,
+         * or undefined for markdown in the presentation itself
+         */
+        getSourceFile: function (options) {
+            if (!options.markdownUrl) {
+                return undefined
+            }
+            try {
+                return new URL(options.markdownUrl, getBaseUrl()).href
+            } catch {
+                return options.markdownUrl
+            }
+        },
+
+        /**
+         * Returns the URL relative to the directory of the base URL if it is
+         * within it, to show the files of the deck with short names
+         */
+        getRelativeUrl: function (url) {
+            const baseUrl = getBaseUrl()
+            const directoryUrl = baseUrl && new URL('.', baseUrl).href
+            return directoryUrl && url.startsWith(directoryUrl) ? url.substring(directoryUrl.length) : url
+        },
+
+        /**
+         * Returns the source of every line of the markdown as { file, line },
+         * following the scope markers of the included files, see scopeIncludedMarkdown.
+         * The markers themselves have no source.
+         */
+        createLineMap: function (markdown, file) {
+            const scopes = [{ file, line: 1 }]
+
+            return markdown.split('\n').map((line) => {
+                const scopeMatch = line.match(includeScopeLineRegex)
+                if (!scopeMatch) {
+                    const scope = scopes[scopes.length - 1]
+                    return { file: scope.file, line: scope.line++ }
+                }
+
+                if (scopeMatch[1]) {
+                    const { file, line, replacedLines = 1 } = JSON.parse(scopeMatch[1])
+                    scopes.push({ file, line, replacedLines })
+                } else if (scopes.length > 1) {
+                    // included markdown replaces a single "!include" line,
+                    // imported code the lines of its code block
+                    const { replacedLines } = scopes.pop()
+                    scopes[scopes.length - 1].line += replacedLines
+                }
+                return null
+            })
+        },
+
+        /**
+         * Returns the file and the first and last line the slide content
+         * comes from, given the sources of the lines it starts at.
+         * Blank lines are left out.
+         */
+        getSourceLines: function (content, lineMap) {
+            const sources = content
+                .split('\n')
+                .map((line, index) => line.trim() && lineMap[index])
+                .filter((source) => source)
+            if (!sources.length) {
+                return { sourceFile: undefined, sourceLines: undefined }
+            }
+
+            const sourceFile = sources[0].file
+            const lines = sources.filter((source) => source.file === sourceFile).map((source) => source.line)
+            return { sourceFile, sourceLines: [lines[0], lines[lines.length - 1]] }
+        },
+
+        /**
+         * Adds a warning or an error about the markdown to options.diagnostics
+         * if it is an array, by default at the first line of the slide
+         */
+        reportDiagnostic: function (
+            options,
+            { level = 'error', message, file = options.sourceFile, line = options.sourceLines?.[0] }
+        ) {
+            if (options.diagnostics instanceof Array) {
+                options.diagnostics.push({ level, message, file, line })
+            }
+        },
+
+        /**
+         * Parses a data string into multiple slides based
+         * on the passed in separator arguments.
+         */
+        slidify: function (markdown, options) {
+            options = this.getSlidifyOptions(options)
+
+            const sectionStack = this.splitSlides(markdown, options)
+            const tableOfContents = this.createTableOfContents(sectionStack, options)
+            this.addSlidePositions(sectionStack)
+            let index = 0
+
+            // sections rendered ahead of time are only converted by the plugin, not parsed again
+            const markdownAttribute = options.prerendered
+                ? ' data-markdown data-markdown-prerendered>'
+                : ' data-markdown>'
+
+            const createSection = ([content, slideOptions]) => {
+                content = this.insertTableOfContents(content, slideOptions, tableOfContents, index++)
+
+                return (
+                    '<section ' +
+                    slideOptions.attributes +
+                    this.getSourceAttributes(slideOptions) +
+                    this.getAnimateAttribute(slideOptions) +
+                    markdownAttribute +
+                    this.createMarkdownSlide(content, slideOptions) +
+                    '</section>'
+                )
+            }
+
+            let markdownSections = ''
+
+            // flatten the hierarchical stack, and insert <section data-markdown> tags
+            sectionStack.forEach((slide) => {
+                // vertical
+                if (slide[0] instanceof Array) {
+                    markdownSections += '<section ' + options.attributes + (slide[0][1].stackAttributes || '') + '>'
+                    slide.forEach((child) => {
+                        markdownSections += createSection(child)
+                    })
+                    markdownSections += '</section>'
+                } else {
+                    markdownSections += createSection(slide)
+                }
+            })
+
+            return markdownSections
+        },
+
+        /**
+         * Returns the data-source-file and data-source-lines attributes
+         * of the section of a slide, e.g. data-source-lines="12-20"
+         */
+        getSourceAttributes: function (options) {
+            if (!options.sourceLines) {
+                return ''
+            }
+
+            const [start, end] = options.sourceLines
+            return (
+                (options.sourceFile
+                    ? ` data-source-file="${this.escapeForHTML(this.getRelativeUrl(options.sourceFile))}"`
+                    : '') + ` data-source-lines="${start}-${end}"`
+            )
+        },
+
+        /**
+         * Returns the data-animate attribute of the section of a slide with
+         * the "animate" metadata, e.g. "animate: lists" for a slide whose
+         * list items are shown one by one, see addFragments of the plugin
+         */
+        getAnimateAttribute: function (options) {
+            const animate = this.toList(options.metadata?.animate)
+            return animate.length ? ` data-animate="${this.escapeForHTML(animate.join(' '))}"` : ''
+        },
+
+        /**
+         * Splits a trailing fragment marker off the text: "{+}" makes the element
+         * a fragment, further words are fragment styles and a number is the
+         * fragment index, e.g. "{+fade-up 2}"
+         *
+         * Returns the text without the marker and the classes and index of
+         * the fragment, which is undefined if the text has no marker
+         */
+        splitFragmentMarker: function (text) {
+            const markerMatch = text.match(fragmentMarkerRegex)
+            if (!markerMatch) {
+                return [text, undefined]
+            }
+
+            const parts = markerMatch[1].split(/\s+/).filter((part) => part)
+            const isIndex = (part) => /^\d+$/.test(part)
+            return [
+                text.substring(0, markerMatch.index),
+                {
+                    className: ['fragment', ...parts.filter((part) => !isIndex(part))].join(' '),
+                    index: parts.find(isIndex),
+                },
+            ]
+        },
+
+        /**
+         * Resolves the includes of the markdown, loads the templates of
+         * its slides and parses it into sections
+         *
+         * Resolves with the HTML of the sections, the URLs of the included
+         * files and templates are added to options.dependencies if it is a Set
+         * and the problems found to options.diagnostics if it is an array
+         */
+        renderSlides: function (markdown, options) {
+            return Promise.all([
+                this.resolveIncludes(markdown, options.markdownUrl, [], options),
+                this.loadNotesFile(options),
+            ]).then(([markdown, notesById]) => {
+                options.notesById = notesById
+                options.pendingFences = []
+                return this.loadTemplates(markdown, options).then(() =>
+                    this.renderPendingFences(this.slidify(markdown, options), options.pendingFences)
+                )
+            })
+        },
+
+        /**
+         * Loads the notes file of the deck set by the "notesFile" option or config,
+         * which is either true for "<deck>.notes.md" next to the markdown file
+         * or the URL of the file relative to it
+         *
+         * Resolves with the notes keyed by slide id, see parseNotesFile,
+         * or undefined if the deck has no notes file
+         */
+        loadNotesFile: function (options) {
+            const { notesFile, markdownUrl } = this.getSlidifyOptions({ ...options })
+            if (!notesFile || (notesFile === true && !markdownUrl)) {
+                return Promise.resolve(undefined)
+            }
+
+            const deckUrl = new URL(markdownUrl || '', getBaseUrl())
+            const url = new URL(
+                notesFile === true ? deckUrl.pathname.replace(/(\.md)?$/, '.notes.md') : notesFile,
+                deckUrl
+            ).href
+            options.dependencies?.add(url)
+
+            return this.fetchText(url).then(
+                (notes) => this.parseNotesFile(notes),
+                (error) => {
+                    console.error(error.message)
+                    this.reportDiagnostic(options, { message: `Failed to load the notes: ${error.message}`, file: url })
+                    return undefined
+                }
+            )
+        },
+
+        /**
+         * Splits the markdown of a notes file into the notes of the slides,
+         * keyed by the slide ids given as top-level headings:
+         *
+         * # pricing
+         * Mention the discount for partners.
+         */
+        parseNotesFile: function (markdown) {
+            const notesById = {}
+            let notes
+            let inCodeBlock = false
+
+            markdown.split('\n').forEach((line) => {
+                if (/^\s*(```|~~~)/.test(line)) {
+                    inCodeBlock = !inCodeBlock
+                }
+
+                const headingMatch = !inCodeBlock && line.match(notesHeadingRegex)
+                if (headingMatch) {
+                    notes = notesById[headingMatch[1]] = notesById[headingMatch[1]] || []
+                } else if (notes) {
+                    notes.push(line)
+                }
+            })
+
+            return Object.fromEntries(Object.entries(notesById).map(([id, lines]) => [id, lines.join('\n').trim()]))
+        },
+
+        /**
+         * Adds the position of every slide within the markdown to its options,
+         * so that templates can show e.g. "7 / 42" or the current section.
+         * All numbers start at 1 and count the slides of this markdown only,
+         * other markdown sections of the deck are numbered on their own.
+         */
+        addSlidePositions: function (sectionStack) {
+            const slides = this.flattenSlides(sectionStack)
+            const titles = slides.map(([content]) => this.getSlideTitle(content).title)
+            let index = 0
+            let section
+
+            sectionStack.forEach((slide, h) => {
+                const children = slide[0] instanceof Array ? slide : [slide]
+
+                children.forEach(([, slideOptions], v) => {
+                    if (slideOptions.metadata?.slide === 'section') {
+                        section = titles[index]
+                    }
+
+                    slideOptions.position = {
+                        number: index + 1,
+                        total: slides.length,
+                        h: h + 1,
+                        v: v + 1,
+                        section,
+                        previous: titles[index - 1],
+                        next: titles[index + 1],
+                    }
+                    index++
+                })
+            })
+        },
+
+        /**
+         * Collects the entries of the table of contents, which are the "section"
+         * slides of the deck or, if there are none, the slides starting with a
+         * top-level heading. Slides with "toc: false" are left out.
+         *
+         * If the markdown has a table of contents slide, every listed slide gets
+         * an id, so that it can be linked to. The generated ids differ from the
+         * ids in options.usedIds, e.g. those of the other markdown sections of
+         * the deck, and are added to it. Slides with an "id" metadata keep their
+         * id, whether they are listed or not.
+         */
+        createTableOfContents: function (sectionStack, options = {}) {
+            const slides = this.flattenSlides(sectionStack)
+            const isSectionSlide = (slideOptions) => slideOptions.metadata?.slide === 'section'
+            const hasSectionSlides = slides.some(([, slideOptions]) => isSectionSlide(slideOptions))
+            const ids = options.usedIds instanceof Set ? options.usedIds : new Set()
+            const entries = []
+
+            slides.forEach(([, slideOptions]) => {
+                if (slideOptions.metadata?.id) {
+                    slideOptions.id = String(slideOptions.metadata.id)
+                    slideOptions.attributes += ` id="${this.escapeForHTML(slideOptions.id)}"`
+                    ids.add(slideOptions.id)
+                }
+            })
+
+            if (!slides.some(([content, slideOptions]) => this.isTableOfContentsSlide(content, slideOptions))) {
+                return entries
+            }
+
+            slides.forEach(([content, slideOptions], index) => {
+                const { title, level } = this.getSlideTitle(content)
+                const toc = slideOptions.metadata?.toc
+
+                if (!title || toc === false || toc === 'false' || this.isTableOfContentsSlide(content, slideOptions)) {
+                    return
+                }
+                if (hasSectionSlides ? !isSectionSlide(slideOptions) : level !== 1) {
+                    return
+                }
+                if (slideOptions.id) {
+                    entries.push({ title, id: slideOptions.id, index })
+                    return
+                }
+
+                // reveal.js only navigates to ids starting with a letter
+                const slug =
+                    'toc-' +
+                    title
+                        .toLowerCase()
+                        .replace(/[^\w]+/g, '-')
+                        .replace(/^-+|-+$/g, '')
+                let id = slug
+                for (let i = 2; ids.has(id); i++) {
+                    id = `${slug}-${i}`
+                }
+                ids.add(id)
+
+                slideOptions.id = id
+                slideOptions.attributes += ` id="${id}"`
+                entries.push({ title, id, index })
+            })
+
+            return entries
+        },
+
+        /**
+         * Checks if the slide is a table of contents, either by "slide: toc"
+         * or by a [[toc]] placeholder in its content
+         */
+        isTableOfContentsSlide: function (content, options) {
+            return options.metadata?.slide === 'toc' || tocPlaceholderRegex.test(content)
+        },
+
+        /**
+         * Replaces the [[toc]] placeholder of the slide with the table of contents,
+         * or appends it to "slide: toc" slides.
+         *
+         * With the "tocHighlight" metadata or config, the first entry after the slide
+         * gets the "current" class, which highlights the upcoming section on agenda
+         * slides repeated before every section.
+         */
+        insertTableOfContents: function (content, options, tableOfContents, index) {
+            if (!this.isTableOfContentsSlide(content, options)) {
+                return content
+            }
+
+            const metadata = options.metadata || {}
+            const highlight = 'tocHighlight' in metadata ? metadata.tocHighlight : options.tocHighlight
+            const current = [true, 'true'].includes(highlight) && tableOfContents.find((entry) => entry.index > index)
+
+            const list = tableOfContents
+                .map(
+                    (entry) =>
+                        `- [${entry.title}](#/${entry.id})` +
+                        (entry === current ? ' <!-- .element: class="current" -->' : '')
+                )
+                .join('\n')
+
+            if (tocPlaceholderRegex.test(content)) {
+                return content.replace(tocPlaceholderRegex, list)
+            }
+            return content.trimEnd() + '\n\n' + list + '\n'
+        },
+
+        /**
+         * Loads the templates of all slides in the markdown together with
+         * their partials and layouts in parallel, so that they can be
+         * rendered from the cache
+         */
+        loadTemplates: function (markdown, options) {
+            const names = new Set()
+
+            // the slides are split again by slidify, which reports their diagnostics
+            this.flattenSlides(this.splitSlides(markdown, { ...options, diagnostics: undefined })).forEach(
+                ([, slideOptions]) => {
+                    if (slideOptions.metadata?.slide) {
+                        names.add(slideOptions.metadata.slide)
+                    }
+                }
+            )
+
+            options = this.getSlidifyOptions({ ...options })
+            const loadedNames = new Set()
+            return Promise.all([...names].map((name) => this.loadTemplateWithDependencies(name, options, loadedNames)))
+        },
+
+        /**
+         * Loads the template with the given name and, recursively,
+         * the partials and layouts it references
+         */
+        loadTemplateWithDependencies: function (name, options, loadedNames) {
+            if (loadedNames.has(name)) {
+                return Promise.resolve()
+            }
+            loadedNames.add(name)
+
+            const inlineTemplate = this.getInlineTemplate(name, options)
+            let templatePromise = Promise.resolve(inlineTemplate)
+            if (inlineTemplate === undefined) {
+                const url = this.resolveTemplateUrl(name, options)
+                options.dependencies?.add(url)
+                templatePromise = this.loadTemplate(url)
+            }
+
+            return templatePromise.then((template) =>
+                Promise.all(
+                    this.getTemplateDependencies(template).map((dependency) =>
+                        this.loadTemplateWithDependencies(dependency, options, loadedNames)
+                    )
+                )
+            )
+        },
+
+        /**
+         * Returns the names of the partials ({{> name}}) and
+         * layouts ({{< name}}) referenced in the template
+         */
+        getTemplateDependencies: function (template) {
+            if (!template) {
+                return []
+            }
+            return [...template.matchAll(templateDependencyRegex)].map((match) => match[1])
+        },
+
+        /**
+         * Fetches a template once per deck
+         *
+         * Resolves with the template, or null if it could not be fetched
+         */
+        loadTemplate: function (url) {
+            if (!templateRequests[url]) {
+                templateRequests[url] = this.fetchText(url).then(
+                    (template) => (templateCache[url] = template),
+                    (error) => {
+                        console.error(error.message)
+                        return (templateCache[url] = null)
+                    }
+                )
+            }
+
+            return templateRequests[url]
+        },
+
+        /**
+         * Removes the template from the cache, so that it is
+         * fetched again by the next loadTemplates
+         */
+        forgetTemplate: function (url) {
+            delete templateCache[url]
+            delete templateRequests[url]
+        },
+
+        /**
+         * Fetches the text of the given URL with the loader of the environment
+         */
+        fetchText: function (url) {
+            return loadText(url)
+        },
+
+        /**
+         * Replaces the "!include <path>" lines of the markdown with the content
+         * of the included files, resolved relative to the including file,
+         * recursively
+         *
+         * The front matter of an included file is used as default
+         * metadata for its own slides only
+         *
+         * Code blocks with a "file" are filled with the code of the file, see importCode
+         *
+         * The URLs of the included files are added to the optional options.dependencies
+         * Set and the files that could not be included to options.diagnostics
+         */
+        resolveIncludes: function (markdown, url, includingUrls = [], options = {}) {
+            const baseUrl = url ? new URL(url, getBaseUrl()).href : getBaseUrl()
+            let inCodeBlock = false
+            // the code block importing a file while its lines are collected
+            let codeBlock
+
+            const lines = markdown.split('\n').map((line, index) => {
+                if (codeFenceRegex.test(line)) {
+                    inCodeBlock = !inCodeBlock
+
+                    if (inCodeBlock && codeImportRegex.test(line)) {
+                        codeBlock = { opening: line, lines: [], line: index + 1 }
+                        return null
+                    }
+                    if (!inCodeBlock && codeBlock) {
+                        const importedCode = this.importCode(codeBlock, url && baseUrl, options)
+                        codeBlock = undefined
+                        return importedCode.then((code) => code + '\n' + line)
+                    }
+                }
+
+                if (codeBlock) {
+                    codeBlock.lines.push(line)
+                    return null
+                }
+
+                const includeMatch = !inCodeBlock && line.match(includeRegex)
+                if (!includeMatch) {
+                    return line
+                }
+
+                const includeUrl = new URL(includeMatch[1], baseUrl).href
+                // markdown in the presentation itself has no file
+                const location = { file: url && baseUrl, line: index + 1 }
+                if ([...includingUrls, baseUrl].includes(includeUrl)) {
+                    console.error(`${includeUrl} is included recursively by ${baseUrl}`)
+                    this.reportDiagnostic(options, {
+                        message: `${includeMatch[1]} is included recursively`,
+                        ...location,
+                    })
+                    return this.renderErrorMessage('Failed to include ' + includeMatch[1], [
+                        'the file is included recursively',
+                    ])
+                }
+
+                options.dependencies?.add(includeUrl)
+                return this.fetchText(includeUrl)
+                    .then((included) =>
+                        this.resolveIncludes(included, includeUrl, [...includingUrls, baseUrl], options)
+                    )
+                    .then((included) => this.scopeIncludedMarkdown(included, includeUrl))
+                    .catch((error) => {
+                        console.error(error)
+                        this.reportDiagnostic(options, {
+                            message: `Failed to include ${includeMatch[1]}: ${error.message}`,
+                            ...location,
+                        })
+                        return this.renderErrorMessage('Failed to include ' + includeMatch[1], [error.message])
+                    })
+            })
+
+            // a code block without closing fence ends with the markdown
+            if (codeBlock) {
+                lines.push(this.importCode(codeBlock, url && baseUrl, options))
+            }
+
+            return Promise.all(lines).then((lines) => lines.filter((line) => line !== null).join('\n'))
+        },
+
+        /**
+         * Fills a code block with the code of its "file", resolved relative to
+         * the markdown file, and removes the "file", "lines" and "region" from
+         * its info string:
+         *
+         * ```js file=../src/server.js lines=10-40 [1|3-5]
+         * ```
+         *
+         * "lines" imports a range of lines, "10-" up to the end of the file, and
+         * "region" the lines between "#region <name>" and "#endregion" comments.
+         * Line numbers start at the first imported line of the file unless the
+         * block sets an offset, "[25: 1,4-8]".
+         *
+         * The code is wrapped in scope markers, so that its lines are mapped to
+         * the file by createLineMap. The lines of the block are kept if the
+         * file cannot be imported.
+         *
+         * Resolves with the code block without its closing fence
+         */
+        importCode: function (codeBlock, markdownUrl, options) {
+            const params = {}
+            const opening = codeBlock.opening.replace(codeImportParamRegex, (param, key, value) => {
+                params[key] = value
+                return ''
+            })
+            const fileUrl = new URL(params.file, markdownUrl || getBaseUrl()).href
+            options.dependencies?.add(fileUrl)
+
+            return this.fetchText(fileUrl)
+                .then((code) => {
+                    const { lines, start } = this.sliceCode(code, params)
+
+                    // align the line numbers with the file
+                    const lineNumbersMatch = opening.match(CODE_LINE_NUMBER_REGEX)
+                    const alignedOpening =
+                        lineNumbersMatch && !lineNumbersMatch[1] && start > 1
+                            ? opening.replace(CODE_LINE_NUMBER_REGEX, `[${start}: ${lineNumbersMatch[3].trim()}]`)
+                            : opening
+
+                    const scope = JSON.stringify({
+                        file: fileUrl,
+                        line: start,
+                        replacedLines: codeBlock.lines.length,
+                    }).replace(/-->/g, '--\\u003e')
+                    // the code is shown as it is, so its placeholders are escaped for interpolateMetadata
+                    return [
+                        alignedOpening,
+                        `<!-- awesomd-scope: ${scope} -->`,
+                        ...lines.map((line) => line.replace(metadataPlaceholderRegex, '\\$&')),
+                        '<!-- awesomd-scope-end -->',
+                    ].join('\n')
+                })
+                .catch((error) => {
+                    console.error(error)
+                    this.reportDiagnostic(options, {
+                        message: `Failed to import ${params.file}: ${error.message}`,
+                        file: markdownUrl,
+                        line: codeBlock.line,
+                    })
+                    return [opening, ...codeBlock.lines].join('\n')
+                })
+        },
+
+        /**
+         * Returns the lines of the code selected by the "lines" or "region"
+         * of an imported code block, and the line of the file they start at
+         *
+         * Throws if the lines or the region are not part of the code
+         */
+        sliceCode: function (code, { lines: range, region }) {
+            const lines = code.replace(/\r?\n$/, '').split(/\r?\n/)
+
+            if (region) {
+                const start = lines.findIndex((line) => line.match(codeRegionStartRegex)?.[1] === region)
+                if (start === -1) {
+                    throw new Error(`region "${region}" not found`)
+                }
+
+                // nested regions end before the region
+                let depth = 0
+                let end = start + 1
+                for (; end < lines.length; end++) {
+                    if (codeRegionStartRegex.test(lines[end])) {
+                        depth++
+                    } else if (codeRegionEndRegex.test(lines[end]) && depth-- === 0) {
+                        break
+                    }
+                }
+                return { lines: lines.slice(start + 1, end), start: start + 2 }
+            }
+
+            if (range) {
+                const rangeMatch = range.match(codeLinesRegex)
+                const start = rangeMatch && Number(rangeMatch[1])
+                const end = rangeMatch && (rangeMatch[2] === undefined ? start : Number(rangeMatch[2]) || lines.length)
+                if (!rangeMatch || start < 1 || start > lines.length || end < start) {
+                    throw new Error(`lines "${range}" not found in the ${lines.length} lines of the file`)
+                }
+                return { lines: lines.slice(start - 1, end), start }
+            }
+
+            return { lines, start: 1 }
+        },
+
+        /**
+         * Wraps included markdown in scope markers holding its URL, the line its
+         * content starts at and the metadata of its front matter, which are
+         * applied by applyIncludeScopes and followed by createLineMap
+         */
+        scopeIncludedMarkdown: function (markdown, url) {
+            const leadingWhitespace = markdown.match(/^(\n|\s)*/)[0]
+            const parsedFrontMatter = fm(markdown.substring(leadingWhitespace.length))
+            const scope = { file: url, line: 1 }
+
+            if (parsedFrontMatter.frontmatter) {
+                scope.line = leadingWhitespace.split('\n').length - 1 + parsedFrontMatter.bodyBegin
+                scope.metadata = yaml.load(parsedFrontMatter.frontmatter) || {}
+                markdown = parsedFrontMatter.body
+            }
+
+            // escape the end of the comment in the metadata
+            const marker = JSON.stringify(scope).replace(/-->/g, '--\\u003e')
+            return `<!-- awesomd-scope: ${marker} -->\n${markdown}\n<!-- awesomd-scope-end -->`
+        },
+
+        /**
+         * Strips the scope markers of included files from the slide content and
+         * adds the metadata of the included files the slide starts in to its metadata
+         *
+         * The stack of open scopes is carried over from one slide to the next
+         */
+        applyIncludeScopes: function (markdown, options, scopes) {
+            let scopeMetadata
+            let lastIndex = 0
+            let matches
+
+            while ((matches = includeScopeRegex.exec(markdown))) {
+                // markers after the start of the slide content only apply to the following slides
+                if (!scopeMetadata && markdown.substring(lastIndex, matches.index).trim()) {
+                    scopeMetadata = Object.assign({}, ...scopes)
+                }
+
+                if (matches[1]) {
+                    scopes.push(JSON.parse(matches[1]).metadata || {})
+                } else {
+                    scopes.pop()
+                }
+                lastIndex = includeScopeRegex.lastIndex
+            }
+            scopeMetadata = scopeMetadata || Object.assign({}, ...scopes)
+
+            if (Object.keys(scopeMetadata).length) {
+                options.metadata = { ...options.metadata, ...scopeMetadata }
+            }
+
+            return [markdown.replace(includeScopeRegex, ''), options]
+        },
+
+        escapeForHTML: function (input) {
+            return input.replace(/([&<>'"])/g, (char) => HTML_ESCAPE_MAP[char])
+        },
+
+        /**
+         * Parse the front matter from the Markdown document
+         *
+         * Returns updated options with the default metadata
+         * and updated content without the front matter
+         */
+        parseFrontMatter: function (content, options) {
+            options = this.getSlidifyOptions(options)
+            if (/^(\n|\s)/.test(content)) {
+                content = content.replace(/^(\n|\s)+/, '')
+            }
+
+            const parsedFrontMatter = fm(content)
+
+            content = parsedFrontMatter.body
+            if (parsedFrontMatter.frontmatter) {
+                options.metadata = yaml.load(parsedFrontMatter.frontmatter)
+            }
+            return [content, options]
+        },
+
+        /**
+         * Add slide separator in case where the heading indicates the start of new slide
+         *
+         * The levels of the headings starting a slide are set with "separateByHeading",
+         * e.g. "h1,h2", and the levels of the headings starting a vertical slide with
+         * "separateVerticalByHeading", e.g. "h3". By default every heading starts a slide.
+         * Headings in code blocks and headings right after a separator are left as they are.
+         *
+         * Returns the updated markdown file with added slide separator above every slide headings
+         */
+        addSlideSeparator: function (markdown, options) {
+            const lines = markdown.split('\n')
+            const result = []
+            const verticalLevels = this.getHeadingLevels(options.separateVerticalByHeading || [], options)
+            const levels = this.getHeadingLevels(options.separateByHeading || true, options).filter(
+                (level) => !verticalLevels.includes(level)
+            )
+            const markdownSeparators = [options.separator, options.verticalSeparator].filter((separator) => separator)
+            const separatorRegex = markdownSeparators.length ? new RegExp(markdownSeparators.join('|'), 'm') : undefined
+            const isSeparator = (line) =>
+                [options.slideSeparator, options.verticalSlideSeparator].includes(line) ||
+                !!separatorRegex?.test(`\n${line}\n`)
+            let firstHeadingProcessingDone = false
+            let previousLine = ''
+            let inCodeBlock = false
+
+            lines.forEach((line) => {
+                if (codeFenceRegex.test(line)) {
+                    inCodeBlock = !inCodeBlock
+                }
+
+                const headingMatch = !inCodeBlock && line.match(headingLevelRegex)
+                const level = headingMatch && headingMatch[1].length
+                if (levels.includes(level) || verticalLevels.includes(level)) {
+                    if (!firstHeadingProcessingDone) {
+                        firstHeadingProcessingDone = true
+                    } else if (!isSeparator(previousLine)) {
+                        result.push(levels.includes(level) ? options.slideSeparator : options.verticalSlideSeparator)
+                    }
+                }
+                result.push(line)
+
+                // the scope markers of included files are not part of the markdown
+                if (line.trim() && !includeScopeLineRegex.test(line)) {
+                    previousLine = line
+                }
+            })
+            markdown = result.join('\n')
+            return markdown
+        },
+
+        /**
+         * Returns the heading levels of a "separateByHeading" option, e.g. [1, 2]
+         * for "h1,h2" or ["h1", "h2"], and all levels for true
+         */
+        getHeadingLevels: function (value, options) {
+            if (value === true) {
+                return [1, 2, 3, 4, 5, 6]
+            }
+
+            return this.toList(value).flatMap((level) => {
+                const levelMatch = level.match(/^h?([1-6])$/i)
+                if (!levelMatch) {
+                    this.reportDiagnostic(options, {
+                        level: 'warning',
+                        message: `Unknown heading level "${level}" to separate slides by, use h1 to h6.`,
+                        line: undefined,
+                    })
+                    return []
+                }
+                return [Number(levelMatch[1])]
+            })
+        },
+
+        /**
+         * Separates the inline metadata and content for slide having inline metadata in yaml block as
+         *
+         * ```yaml
+         * metadata_key1: metadata_value1
+         * metadata_key2: metadata_value2
+         * ```
+         */
+        extractYAMLMetadata: function (markdown, options) {
+            const markdownParts = yamlRegex.exec(markdown)
+            yamlRegex.lastIndex = 0
+            if (markdownParts && markdownParts[2]) {
+                const metadata = markdownParts[2]
+                markdown = markdownParts[3] || ''
+
+                try {
+                    const metadataYAML = yaml.load(metadata)
+                    if (metadataYAML === undefined) {
+                        throw new Error('The inline metadata is not valid.')
+                    }
+                    // the "stack" metadata also applies to the slide it is set on, see getStackOptions
+                    const [stackMetadata] = this.splitStackMetadata(metadataYAML?.stack)
+                    options.metadata = { ...options.metadata, ...stackMetadata, ...metadataYAML }
+                    options.attributes = this.getClassAttribute(options.metadata)
+                } catch (error) {
+                    console.error(error)
+                    options.errors = [...(options.errors || []), `invalid YAML metadata: ${error.message}`]
+                }
+            }
+            return [markdown, options]
+        },
+
+        /**
+         * Separates the inline metadata and content for slides having metadata as
+         *
+         * ::metadata_key1:metadata_value1 ::metadata_key2:metadata_value2
+         */
+        extractInlineMetadata: function (markdown, options) {
+            const inlineMetadata = {}
+            const matches = markdown.match(headingWithMetadataRegex)
+
+            if (matches && matches[0]) {
+                const metadataMatches = matches[0].match(metadataRegex)
+                if (metadataMatches) {
+                    metadataMatches.forEach((metadataMatch) => {
+                        const [key, value] = metadataMatch.replace('::', '').split(':')
+                        inlineMetadata[key.trim()] = value.trim()
+                        const metadataPattern = new RegExp(`::\\b${key.trim()}\\b:\\s*${value.trim()}`)
+                        markdown = markdown.replace(metadataPattern, '')
+                    })
+                }
+            }
+
+            options.metadata = { ...options.metadata, ...inlineMetadata }
+            options.attributes = this.getClassAttribute(options.metadata)
+            return [markdown, options]
+        },
+
+        /**
+         * Returns the quoted class attribute of the section of a slide, which is
+         * the template of the slide, or nothing for slides without a template
+         */
+        getClassAttribute: function (metadata) {
+            return metadata.slide ? `class="${this.escapeForHTML(String(metadata.slide))}"` : ''
+        },
+
+        /**
+         * Separates the inline metadata and content for each slide
+         *
+         * Returns updated options with the inline metadata and
+         * updated markdown without the inline metadata for each slide
+         */
+        separateInlineMetadataAndMarkdown: function (markdown, options) {
+            const yamlMetadata = yamlRegex.test(markdown)
+            const newMetadata = headingWithMetadataRegex.test(markdown)
+            const defaultMetadata = options.metadata || {}
+            yamlRegex.lastIndex = 0
+            options.errors = []
+
+            if (options.separateByHeading) {
+                ;[markdown, options] = this.extractInlineMetadata(markdown, options)
+            } else {
+                switch (true) {
+                    case newMetadata:
+                        ;[markdown, options] = this.extractInlineMetadata(markdown, options)
+                        break
+                    case yamlMetadata:
+                        ;[markdown, options] = this.extractYAMLMetadata(markdown, options)
+                        break
+                    default:
+                        if (options.metadata) {
+                            options.attributes = this.getClassAttribute(options.metadata)
+                        }
+                        break
+                }
+            }
+
+            if (options.metadata) {
+                const slideMetadataKeys = Object.keys(options.metadata).filter(
+                    (key) => options.metadata[key] !== defaultMetadata[key]
+                )
+                options = this.validateMetadata(options, slideMetadataKeys)
+            }
+
+            return [markdown, options]
+        },
+
+        /**
+         * Validates the metadata of a slide against the schema declared
+         * in a comment at the start of its template, e.g.
+         *
+         * {{!schema
+         * presenter:
+         *   type: string
+         *   required: true
+         * theme:
+         *   enum: [dark, light]
+         *   default: light
+         * }}
+         *
+         * Missing values are filled with the defaults, violations are added to the
+         * errors of the slide. Metadata keys that are set on the slide itself and
+         * are neither part of the schema nor used by the plugin are reported as unknown.
+         *
+         * Without a schema, only the keys resembling a key used by the plugin are
+         * reported, see reportMisspelledMetadata
+         */
+        validateMetadata: function (options, slideMetadataKeys) {
+            const schema = this.getTemplateSchema(options.metadata.slide, options)
+            if (!schema) {
+                this.reportMisspelledMetadata(options, slideMetadataKeys)
+                return options
+            }
+
+            const metadata = { ...options.metadata }
+            const errors = []
+
+            Object.entries(schema).forEach(([key, rule]) => {
+                rule = rule || {}
+
+                if (metadata[key] === undefined || metadata[key] === null || metadata[key] === '') {
+                    if ('default' in rule) {
+                        metadata[key] = rule.default
+                    } else if (rule.required) {
+                        errors.push(`missing required metadata "${key}"`)
+                    }
+                    return
+                }
+
+                if (rule.type) {
+                    const value = this.coerceMetadataValue(metadata[key], rule.type)
+                    if (value === undefined) {
+                        errors.push(`metadata "${key}" must be of type ${rule.type}`)
+                        return
+                    }
+                    metadata[key] = value
+                }
+
+                if (rule.enum && !rule.enum.includes(metadata[key])) {
+                    errors.push(`metadata "${key}" must be one of ${rule.enum.join(', ')} but is "${metadata[key]}"`)
+                }
+            })
+
+            slideMetadataKeys
+                .filter((key) => !(key in schema) && !RESERVED_METADATA_KEYS.includes(key))
+                .forEach((key) => errors.push(`unknown metadata "${key}"`))
+
+            options.metadata = metadata
+            options.errors = [...(options.errors || []), ...errors]
+            return options
+        },
+
+        /**
+         * Warns about the metadata keys of the slide which are not used by the
+         * plugin but differ only slightly from a key that is, e.g. "slid"
+         */
+        reportMisspelledMetadata: function (options, slideMetadataKeys) {
+            slideMetadataKeys
+                .filter((key) => !RESERVED_METADATA_KEYS.includes(key))
+                .forEach((key) => {
+                    // a quarter of the characters may differ, case is ignored
+                    const reservedKey = RESERVED_METADATA_KEYS.find(
+                        (reserved) =>
+                            getEditDistance(key.toLowerCase(), reserved.toLowerCase()) <=
+                            Math.floor(reserved.length / 4)
+                    )
+                    if (reservedKey) {
+                        this.reportDiagnostic(options, {
+                            level: 'warning',
+                            message: `unknown metadata "${key}", did you mean "${reservedKey}"?`,
+                        })
+                    }
+                })
+        },
+
+        /**
+         * Returns the metadata value converted to the given schema type,
+         * inline metadata values are always strings
+         *
+         * Returns undefined if the value does not match the type
+         */
+        coerceMetadataValue: function (value, type) {
+            switch (type) {
+                case 'string':
+                    return typeof value === 'string' ? value : undefined
+                case 'number':
+                    if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+                        return Number(value)
+                    }
+                    return typeof value === 'number' ? value : undefined
+                case 'boolean':
+                    if (value === 'true' || value === 'false') {
+                        return value === 'true'
+                    }
+                    return typeof value === 'boolean' ? value : undefined
+                case 'array':
+                    return value instanceof Array ? value : undefined
+                default:
+                    return value
+            }
+        },
+
+        /**
+         * Returns the schema declared in the template with the given name,
+         * or undefined if the template has no schema or is not loaded
+         */
+        getTemplateSchema: function (name, options) {
+            const template = name && this.getTemplate(name, options)
+            const schemaMatch = template && template.match(templateSchemaRegex)
+            if (!schemaMatch) {
+                return undefined
+            }
+
+            try {
+                return yaml.load(schemaMatch[1]) || undefined
+            } catch (error) {
+                console.error(`Invalid metadata schema in template "${name}".`, error)
+                return undefined
+            }
+        },
+
+        /**
+         * Returns the error message of a slide with invalid metadata
+         */
+        renderMetadataErrors: function (options) {
+            const title = options.slideNumber ? `Slide ${options.slideNumber} has invalid metadata` : 'Invalid metadata'
+            return this.renderErrorMessage(title, options.errors)
+        },
+
+        /**
+         * Returns an error message with the list of errors, styled by errors.css
+         */
+        renderErrorMessage: function (title, errors) {
+            return (
+                '<div class="awesomd-error">' +
+                `<p class="awesomd-error-title">${this.escapeForHTML(title)}</p>` +
+                '<ul>' +
+                errors.map((error) => `<li>${this.escapeForHTML(error)}</li>`).join('') +
+                '</ul>' +
+                '</div>'
+            )
+        },
+
+        /**
+         * Renders the template for each slide from the templates
+         * loaded by loadTemplates
+         *
+         * Returns the rendered template with the content
+         */
+        renderTemplate: function (content, options) {
+            try {
+                const { title } = this.getSlideTitle(content)
+                const slideContent = content.replace(titleRegex, '').trim()
+
+                options = this.getSlidifyOptions(options)
+                const template = this.getTemplate(options.metadata.slide, options)
+                let renderedTemplate
+                if (typeof template === 'string') {
+                    renderedTemplate = Mustache.render(
+                        this.resolveLayout(template, options),
+                        {
+                            title: title,
+                            content: slideContent,
+                            metadata: this.renderMetadataMarkdown(options.metadata, options),
+                            position: options.position,
+                        },
+                        (name) => this.resolveLayout(this.getTemplate(name, options) || '', options)
+                    )
+                } else {
+                    renderedTemplate = `Template for slide "${options.metadata.slide}" not found.`
+                    if (template === undefined) {
+                        console.error(`Template for slide "${options.metadata.slide}" has not been loaded.`)
+                    }
+                    this.reportDiagnostic(options, { message: renderedTemplate })
+                }
+                return htmlToText(renderedTemplate)
+            } catch (error) {
+                // a broken template only breaks its own slides
+                console.error('Error:', error)
+                const message = `Template for slide "${options.metadata.slide}" could not be rendered: ${error.message}`
+                this.reportDiagnostic(options, { message })
+                return this.renderErrorMessage(`Slide ${options.slideNumber} could not be rendered`, [message])
+            }
+        },
+
+        /**
+         * Returns the first heading of the slide content and its level
+         */
+        getSlideTitle: function (content) {
+            const matches = content.match(titleRegex)
+            if (!matches) {
+                return {}
+            }
+            return { title: matches[2].trim(), level: matches[1].length }
+        },
+
+        /**
+         * Returns the template with the given name from the page,
+         * the config or the templates loaded by loadTemplates
+         *
+         * Returns null if the template could not be fetched
+         * and undefined if it has not been loaded
+         */
+        getTemplate: function (name, options) {
+            const inlineTemplate = this.getInlineTemplate(name, options)
+            if (inlineTemplate !== undefined) {
+                return inlineTemplate
+            }
+
+            return templateCache[this.resolveTemplateUrl(name, options)]
+        },
+
+        /**
+         * Renders the markdown of the metadata values selected by the
+         * "markdownMetadata" metadata or config, which is either true
+         * for all values or a list of metadata keys
+         */
+        renderMetadataMarkdown: function (metadata, options) {
+            let keys = 'markdownMetadata' in metadata ? metadata.markdownMetadata : options.markdownMetadata
+            if (!keys || keys === 'false') {
+                return metadata
+            }
+            if (typeof keys === 'string' && keys !== 'true') {
+                keys = keys.split(',').map((key) => key.trim())
+            }
+
+            const renderedMetadata = { ...metadata }
+            Object.keys(metadata).forEach((key) => {
+                const isSelected = keys === true || keys === 'true' || keys.includes(key)
+                if (isSelected && typeof metadata[key] === 'string' && !['slide', 'markdownMetadata'].includes(key)) {
+                    renderedMetadata[key] = marked.parseInline(metadata[key])
+                }
+            })
+            return renderedMetadata
+        },
+
+        /**
+         * Resolves the layout a template extends
+         *
+         * {{< base}}{{$header}}...{{/header}}{{/base}}
+         *
+         * renders the "base" template with its "header" block replaced,
+         * blocks that are not replaced keep the content given in the layout
+         */
+        resolveLayout: function (template, options, blocks = {}, layouts = []) {
+            // the schema comment may come before the layout, see getTemplateSchema
+            const layoutMatch = template.replace(templateSchemaRegex, '').match(templateLayoutRegex)
+
+            if (layoutMatch) {
+                const layout = layoutMatch[1]
+                if (layouts.includes(layout)) {
+                    console.error(`Template layout "${layout}" extends itself.`)
+                    return ''
+                }
+
+                const childBlocks = {}
+                for (const [, name, content] of layoutMatch[2].matchAll(templateBlockRegex)) {
+                    childBlocks[name] = content
+                }
+
+                // blocks of the extending template take precedence over the ones of its layout
+                return this.resolveLayout(
+                    this.getTemplate(layout, options) || '',
+                    options,
+                    { ...childBlocks, ...blocks },
+                    [...layouts, layout]
+                )
+            }
+
+            return template.replace(templateBlockRegex, (match, name, content) =>
+                name in blocks ? blocks[name] : this.resolveLayout(content, options, blocks, layouts)
+            )
+        },
+
+        /**
+         * Returns the template defined in the presentation itself, either in
+         * the page, see getPageTemplate of the environment, or as markup in
+         * the "markdown.templates" config object
+         */
+        getInlineTemplate: function (name, options) {
+            const pageTemplate = getPageTemplate(name)
+            if (pageTemplate !== undefined) {
+                return pageTemplate
+            }
+
+            const templates = options.templates
+            if (templates && typeof templates === 'object' && this.isInlineTemplate(templates[name])) {
+                return templates[name]
+            }
+        },
+
+        /**
+         * Config values containing markup or mustache tags are templates,
+         * everything else is the URL of a template
+         */
+        isInlineTemplate: function (value) {
+            return typeof value === 'string' && /<|\{\{|\n/.test(value)
+        },
+
+        /**
+         * Resolves the URL of the template for the given slide name
+         *
+         * The template source is taken from the "data-templates" attribute
+         * or the "markdown.templates" config and can be
+         * - a base URL: "<base>/<name>-template.html"
+         * - an object mapping template names to URLs
+         * - a function receiving the template name and returning its URL
+         *
+         * Relative URLs are resolved against the external markdown file if
+         * there is one, otherwise against the base URL of the environment.
+         * Falls back to "<name>-template.html" in the templatesUrl of the environment.
+         */
+        resolveTemplateUrl: function (name, options) {
+            const templates = options.templates
+            let templatePath
+
+            if (typeof templates === 'function') {
+                templatePath = templates(name, { markdownUrl: options.markdownUrl })
+            } else if (typeof templates === 'string') {
+                templatePath = templates.replace(/\/?$/, '/') + name + '-template.html'
+            } else if (templates) {
+                templatePath = templates[name]
+            }
+
+            if (!templatePath) {
+                return new URL(`${name}-template.html`, new URL(templatesUrl, getBaseUrl())).href
+            }
+
+            const baseUrl = options.markdownUrl ? new URL(options.markdownUrl, getBaseUrl()).href : getBaseUrl()
+            return new URL(templatePath, baseUrl).href
+        },
+
+        /**
+         * Returns the marked extension parsing "> [!TYPE]" blockquotes into
+         * alert tokens, the alert body is lexed as markdown of its own so it
+         * may contain lists, code, nested blockquotes and alerts
+         *
+         * "> [!TYPE] title" changes the title of the alert, "> [!TYPE]- title"
+         * makes it a collapsed and "> [!TYPE]+ title" an expanded foldable alert.
+         */
+        getAlertExtension: function () {
+            const self = this
+
+            return {
+                name: 'alert',
+                level: 'block',
+                start: (src) => src.match(alertStartRegex)?.index,
+                tokenizer: function (src) {
+                    const match = alertRegex.exec(src)
+                    const type = match?.[1].toLowerCase()
+                    if (!match || !(type in alertTypes)) {
+                        return
+                    }
+
+                    const alertType = alertTypes[type]
+                    const [raw, , fold, titleWithMarker, body] = match
+                    // "> [!NOTE] Title {+}" makes the whole alert a fragment
+                    const [customTitle, fragment] = self.splitFragmentMarker(titleWithMarker)
+                    const title = customTitle || alertType.title || type.charAt(0).toUpperCase() + type.slice(1)
+
+                    // lex the body like marked lexes the content of blockquotes
+                    const top = this.lexer.state.top
+                    this.lexer.state.top = true
+                    const tokens = this.lexer.blockTokens(body.replace(/^ *>[ \t]?/gm, ''))
+                    this.lexer.state.top = top
+
+                    return {
+                        type: 'alert',
+                        raw,
+                        alertType: type,
+                        className: alertType.className || type,
+                        icon: alertType.icon || '',
+                        fold,
+                        fragment,
+                        titleTokens: this.lexer.inline(title),
+                        tokens,
+                    }
+                },
+                renderer: function (token) {
+                    const tag = token.fold ? 'details' : 'div'
+                    const titleTag = token.fold ? 'summary' : 'div'
+                    const title = `<${titleTag} class="alert-title">${token.icon} ${this.parser.parseInline(
+                        token.titleTokens
+                    )}</${titleTag}>`
+                    // collapsed alerts are opened by the next fragment step, see toggleFoldedAlert
+                    const foldFragment = token.fold === '-' ? '<span class="fragment alert-fold"></span>' : ''
+                    const content = token.tokens.length
+                        ? `<div class="alert-content">${this.parser.parse(token.tokens)}</div>`
+                        : ''
+
+                    const className =
+                        `alert ${token.className}` + (token.fragment ? ` ${token.fragment.className}` : '')
+                    const fragmentIndex = token.fragment?.index ? ` data-fragment-index="${token.fragment.index}"` : ''
+
+                    return `<${tag} class="${className}"${fragmentIndex}${token.fold === '+' ? ' open' : ''}>${title}${foldFragment}${content}</${tag}>\n`
+                },
+                childTokens: ['titleTokens', 'tokens'],
+            }
+        },
+    }
+}
+
+export default core
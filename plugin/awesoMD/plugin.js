@@ -5,54 +5,81 @@
  */
 
 import { marked } from 'marked'
-import yaml from 'js-yaml'
-import Mustache from 'mustache'
-import fm from 'front-matter'
-
-const DEFAULT_SLIDE_SEPARATOR = '\r?\n---\r?\n',
-    DEFAULT_VERTICAL_SEPARATOR = null,
-    DEFAULT_NOTES_SEPARATOR = '^s*notes?:',
-    DEFAULT_ELEMENT_ATTRIBUTES_SEPARATOR = '\\.element\\s*?(.+?)$',
-    DEFAULT_SLIDE_ATTRIBUTES_SEPARATOR = '\\.slide:\\s*?(\\S.+?)$'
-
-const SCRIPT_END_PLACEHOLDER = '__SCRIPT_END__'
-
-// match an optional line number offset and highlight line numbers
-// [<line numbers>] or [<offset>: <line numbers>]
-const CODE_LINE_NUMBER_REGEX = /\[\s*((\d*):)?\s*([\s\d,|-]*)\]/
-
-const HTML_ESCAPE_MAP = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#39;',
-}
+import core, { SCRIPT_END_PLACEHOLDER } from './core'
 
-const yamlRegex = /```(yaml|yml)\n([\s\S]*?)```(\n[\s\S]*)?/g
-const headingWithMetadataRegex = /^#+\s.*::\w+: *\w+.*$/m
-const metadataRegex = /::(\w+):([^::\n]*)/g
-const alertBlockRegex = /^\r*>\s*(\[!(\w+)\]).*\n(\s*\s*>.*\n?)*/gm
-const alertTypeRegex = /^\r*>*\s*(\[!(\w+)\])/gm
-const alertMessageRegex = /^\r*>\s*[\w].*/gm
-const alertRegex = /^\r*>.*$/gm
-const regexToGetAlertType = /\[!(\w+)\]/
-
-const alertIcons = {
-    note: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16"><path d="M0 8a8 8 0 1 1 16 0A8 8 0 0 1 0 8Zm8-6.5a6.5 6.5 0 1 0 0 13 6.5 6.5 0 0 0 0-13ZM6.5 7.75A.75.75 0 0 1 7.25 7h1a.75.75 0 0 1 .75.75v2.75h.25a.75.75 0 0 1 0 1.5h-2a.75.75 0 0 1 0-1.5h.25v-2h-.25a.75.75 0 0 1-.75-.75ZM8 6a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z"/></svg>`,
-    tip: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16"><path d="M8 1.5c-2.363 0-4 1.69-4 3.75 0 .984.424 1.625.984 2.304l.214.253c.223.264.47.556.673.848.284.411.537.896.621 1.49a.75.75 0 0 1-1.484.211c-.04-.282-.163-.547-.37-.847a8.456 8.456 0 0 0-.542-.68c-.084-.1-.173-.205-.268-.32C3.201 7.75 2.5 6.766 2.5 5.25 2.5 2.31 4.863 0 8 0s5.5 2.31 5.5 5.25c0 1.516-.701 2.5-1.328 3.259-.095.115-.184.22-.268.319-.207.245-.383.453-.541.681-.208.3-.33.565-.37.847a.751.751 0 0 1-1.485-.212c.084-.593.337-1.078.621-1.489.203-.292.45-.584.673-.848.075-.088.147-.173.213-.253.561-.679.985-1.32.985-2.304 0-2.06-1.637-3.75-4-3.75ZM5.75 12h4.5a.75.75 0 0 1 0 1.5h-4.5a.75.75 0 0 1 0-1.5ZM6 15.25a.75.75 0 0 1 .75-.75h2.5a.75.75 0 0 1 0 1.5h-2.5a.75.75 0 0 1-.75-.75Z"/></svg>`,
-    caution: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16"><path d="M4.47.22A.749.749 0 0 1 5 0h6c.199 0 .389.079.53.22l4.25 4.25c.141.14.22.331.22.53v6a.749.749 0 0 1-.22.53l-4.25 4.25A.749.749 0 0 1 11 16H5a.749.749 0 0 1-.53-.22L.22 11.53A.749.749 0 0 1 0 11V5c0-.199.079-.389.22-.53Zm.84 1.28L1.5 5.31v5.38l3.81 3.81h5.38l3.81-3.81V5.31L10.69 1.5ZM8 4a.75.75 0 0 1 .75.75v3.5a.75.75 0 0 1-1.5 0v-3.5A.75.75 0 0 1 8 4Zm0 8a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z"/></svg>`,
-    important: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16"><path d="M0 1.75C0 .784.784 0 1.75 0h12.5C15.216 0 16 .784 16 1.75v9.5A1.75 1.75 0 0 1 14.25 13H8.06l-2.573 2.573A1.458 1.458 0 0 1 3 14.543V13H1.75A1.75 1.75 0 0 1 0 11.25Zm1.75-.25a.25.25 0 0 0-.25.25v9.5c0 .138.112.25.25.25h2a.75.75 0 0 1 .75.75v2.19l2.72-2.72a.749.749 0 0 1 .53-.22h6.5a.25.25 0 0 0 .25-.25v-9.5a.25.25 0 0 0-.25-.25Zm7 2.25v2.5a.75.75 0 0 1-1.5 0v-2.5a.75.75 0 0 1 1.5 0ZM9 9a1 1 0 1 1-2 0 1 1 0 0 1 2 0Z"/></svg>`,
-    warning: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16"><path d="M6.457 1.047c.659-1.234 2.427-1.234 3.086 0l6.082 11.378A1.75 1.75 0 0 1 14.082 15H1.918a1.75 1.75 0 0 1-1.543-2.575Zm1.763.707a.25.25 0 0 0-.44 0L1.698 13.132a.25.25 0 0 0 .22.368h12.164a.25.25 0 0 0 .22-.368Zm.53 3.996v2.5a.75.75 0 0 1-1.5 0v-2.5a.75.75 0 0 1 1.5 0ZM9 11a1 1 0 1 1-2 0 1 1 0 0 1 2 0Z"/></svg>`,
-}
+const DEFAULT_ELEMENT_ATTRIBUTES_SEPARATOR = '\\.element\\s*?(.+?)$',
+    DEFAULT_SLIDE_ATTRIBUTES_SEPARATOR = '\\.slide:\\s*?(\\S.+?)$',
+    DEFAULT_LIVE_RELOAD_INTERVAL = 1000,
+    DIAGNOSTICS_KEY_CODE = 68
 
 const plugin = () => {
     // The reveal.js instance this plugin is attached to
     let deck
 
+    // The markdown sections watched in live reload mode, see renderSection
+    const sources = []
+    // The ETag or Last-Modified header of the files of the watched sections, keyed by their URL
+    const sourceVersions = {}
+    // The ids of the slides of the deck, which the generated ids of the markdown sections must differ from
+    const slideIds = new Set()
+
+    // The warnings and errors of the rendered markdown sections, keyed by their section or watched source
+    const diagnostics = new Map()
+    // The overlay listing the diagnostics while it is shown, see toggleDiagnostics
+    let diagnosticsElement
+    // set while changed sources are reloaded, whose files must not come from the HTTP cache
+    let isReloading = false
+
+    const awesoMD = core({
+        loadText: (url) =>
+            new Promise(function (resolve, reject) {
+                const xhr = new XMLHttpRequest()
+
+                xhr.onreadystatechange = function () {
+                    if (xhr.readyState === 4) {
+                        // file protocol yields status code 0 (useful for local debug, mobile applications etc.),
+                        // as do network errors, which have no response
+                        if ((xhr.status >= 200 && xhr.status < 300) || (xhr.status === 0 && xhr.responseText)) {
+                            resolve(xhr.responseText)
+                        } else {
+                            reject(new Error(`Failed to fetch ${url}. Status: ${xhr.status}`))
+                        }
+                    }
+                }
+
+                xhr.open('GET', url, true)
+                if (isReloading) {
+                    xhr.setRequestHeader('Cache-Control', 'no-cache')
+                }
+                xhr.send()
+            }),
+        getBaseUrl: () => document.baseURI,
+        templatesUrl: `${new URL(import.meta.url).origin}/templates/`,
+        // <template data-awesomd-template="<name>">...</template>
+        getPageTemplate: (name) => {
+            const templateElement = [].slice
+                .call(document.querySelectorAll('template[data-awesomd-template]'))
+                .find((element) => element.getAttribute('data-awesomd-template') === name)
+            if (templateElement) {
+                // the HTML parser escapes the "<", ">" and "&" of partial, layout and unescaped variable tags
+                return templateElement.innerHTML.replace(/\{\{[\s\S]*?\}\}/g, (tag) =>
+                    tag.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+                )
+            }
+        },
+        getProfile: () => new URLSearchParams(window.location.search).get('profile'),
+        htmlToText: (html) => {
+            const tempDiv = document.createElement('div')
+            tempDiv.innerHTML = html
+            return tempDiv.textContent
+        },
+    })
+
     return {
         id: 'markdown',
 
+        ...awesoMD,
+
         /**
          * Starts processing and converting Markdown within the
          * current reveal.js deck.
@@ -60,55 +87,24 @@ const plugin = () => {
         init: function (reveal) {
             deck = reveal
 
-            let { renderer, animateLists, ...markedOptions } = deck.getConfig().markdown || {}
-
-            if (!renderer) {
-                renderer = new marked.Renderer()
-
-                renderer.code = (code, language) => {
-                    // Off by default
-                    let lineNumberOffset = ''
-                    let lineNumbers = ''
-
-                    // Users can opt in to show line numbers and highlight
-                    // specific lines.
-                    // ```javascript []        show line numbers
-                    // ```javascript [1,4-8]   highlights lines 1 and 4-8
-                    // optional line number offset:
-                    // ```javascript [25: 1,4-8]   start line numbering at 25,
-                    //                             highlights lines 1 (numbered as 25) and 4-8 (numbered as 28-32)
-                    if (CODE_LINE_NUMBER_REGEX.test(language)) {
-                        const lineNumberOffsetMatch = language.match(CODE_LINE_NUMBER_REGEX)[2]
-                        if (lineNumberOffsetMatch) {
-                            lineNumberOffset = `data-ln-start-from="${lineNumberOffsetMatch.trim()}"`
-                        }
-
-                        lineNumbers = language.match(CODE_LINE_NUMBER_REGEX)[3].trim()
-                        lineNumbers = `data-line-numbers="${lineNumbers}"`
-                        language = language.replace(CODE_LINE_NUMBER_REGEX, '').trim()
-                    }
+            this.configure(deck.getConfig().markdown || {})
 
-                    // Escape before this gets injected into the DOM to
-                    // avoid having the HTML parser alter our code before
-                    // highlight.js is able to read it
-                    code = this.escapeForHTML(code)
+            deck.on('fragmentshown', (event) => this.toggleFoldedAlert(event, true))
+            deck.on('fragmenthidden', (event) => this.toggleFoldedAlert(event, false))
 
-                    // return `<pre><code ${lineNumbers} class="${language}">${code}</code></pre>`;
+            const { liveReload, diagnostics: showDiagnostics } = deck.getConfig().markdown || {}
 
-                    return `<pre><code ${lineNumbers} ${lineNumberOffset} class="${language}">${code}</code></pre>`
-                }
-            }
-
-            if (animateLists === true) {
-                renderer.listitem = (text) => `<li class="fragment">${text}</li>`
+            if (showDiagnostics) {
+                deck.addKeyBinding(
+                    { keyCode: DIAGNOSTICS_KEY_CODE, key: 'D', description: 'Toggle markdown diagnostics' },
+                    () => this.toggleDiagnostics()
+                )
             }
 
-            marked.setOptions({
-                renderer,
-                ...markedOptions,
-            })
-
-            return this.processSlides(deck.getRevealElement()).then(() => this.convertSlides())
+            return this.processSlides(deck.getRevealElement())
+                .then(() => this.convertSlides())
+                .then(() => showDiagnostics && this.getDiagnostics().length && this.toggleDiagnostics(true))
+                .then(() => liveReload && this.watchSources(liveReload.interval || DEFAULT_LIVE_RELOAD_INTERVAL))
         },
 
         /**
@@ -156,7 +152,7 @@ const plugin = () => {
                     value = attributes[i].value
 
                 // disregard attributes that are used for markdown loading/parsing
-                if (/data\-(markdown|separator|vertical|notes)/gi.test(name)) continue
+                if (/data\-(markdown|separator|vertical|notes|templates)/gi.test(name)) continue
 
                 if (value) {
                     result.push(name + '="' + value + '"')
@@ -168,152 +164,6 @@ const plugin = () => {
             return result.join(' ')
         },
 
-        /**
-         * Inspects the given options and fills out default
-         * values for what's not defined.
-         */
-        getSlidifyOptions: function (options) {
-            const markdownConfig = deck?.getConfig?.().markdown
-
-            options = options || {}
-            options.separator = options.separator || markdownConfig?.separator || DEFAULT_SLIDE_SEPARATOR
-            options.verticalSeparator =
-                options.verticalSeparator || markdownConfig?.verticalSeparator || DEFAULT_VERTICAL_SEPARATOR
-            options.notesSeparator = options.notesSeparator || markdownConfig?.notesSeparator || DEFAULT_NOTES_SEPARATOR
-            options.separateByHeading = options.separateByHeading || markdownConfig?.separateByHeading || false
-            options.attributes = options.attributes || ''
-
-            return options
-        },
-
-        /**
-         * Helper function for constructing a markdown slide.
-         */
-        createMarkdownSlide: function (content, options) {
-            options = this.getSlidifyOptions(options)
-
-            const notesMatch = content.split(new RegExp(options.notesSeparator, 'mgi'))
-
-            if (notesMatch.length === 2) {
-                content = notesMatch[0] + '<aside class="notes">' + marked(notesMatch[1].trim()) + '</aside>'
-            }
-
-            // prevent script end tags in the content from interfering
-            // with parsing
-            content = content.replace(/<\/script>/g, SCRIPT_END_PLACEHOLDER)
-
-            content = this.renderMarkdownAlerts(content)
-
-            // render the template with the content only if there is metadata
-            if (options.metadata) {
-                content = this.renderTemplate(content, options)
-            }
-
-            return '<script type="text/template">' + content + '</script>'
-        },
-
-        /**
-         * Parses a data string into multiple slides based
-         * on the passed in separator arguments.
-         */
-        slidify: function (markdown, options) {
-            options = this.getSlidifyOptions(options)
-
-            // add slide separator in the case heading indicates the new slide
-            if (options.separateByHeading) {
-                if (options.hasDataSeparator) {
-                    return (
-                        '<section ' +
-                        options.attributes +
-                        ' data-markdown>' +
-                        'Please do not specify "data-markdown" when "data-separator-by-heading" is used.' +
-                        '</section>'
-                    )
-                }
-                options['slideSeparator'] = '---'
-                markdown = this.addSlideSeparator(markdown, options)
-            }
-
-            const separatorRegex = new RegExp(
-                    options.separator + (options.verticalSeparator ? '|' + options.verticalSeparator : ''),
-                    'mg'
-                ),
-                horizontalSeparatorRegex = new RegExp(options.separator)
-
-            let matches,
-                lastIndex = 0,
-                isHorizontal,
-                wasHorizontal = true,
-                content
-            const sectionStack = []
-
-            // separates default metadata from the markdown file
-            ;[markdown, options] = this.parseFrontMatter(markdown, options)
-
-            // iterate until all blocks between separators are stacked up
-            while ((matches = separatorRegex.exec(markdown))) {
-                // determine direction (horizontal by default)
-                isHorizontal = horizontalSeparatorRegex.test(matches[0])
-
-                if (!isHorizontal && wasHorizontal) {
-                    // create vertical stack
-                    sectionStack.push([])
-                }
-
-                // pluck slide content from markdown input
-                content = markdown.substring(lastIndex, matches.index)
-
-                if (isHorizontal && wasHorizontal) {
-                    // add to horizontal stack
-                    sectionStack.push(content)
-                } else {
-                    // add to vertical stack
-                    sectionStack[sectionStack.length - 1].push(content)
-                }
-
-                lastIndex = separatorRegex.lastIndex
-                wasHorizontal = isHorizontal
-            }
-
-            // add the remaining slide
-            ;(wasHorizontal ? sectionStack : sectionStack[sectionStack.length - 1]).push(markdown.substring(lastIndex))
-
-            let markdownSections = ''
-
-            // flatten the hierarchical stack, and insert <section data-markdown> tags
-            for (let i = 0, len = sectionStack.length; i < len; i++) {
-                // slideOptions is created to avoid mutating the original options object with default metadata
-                let slideOptions = { ...options }
-
-                // vertical
-                if (sectionStack[i] instanceof Array) {
-                    markdownSections += '<section ' + slideOptions.attributes + '>'
-
-                    sectionStack[i].forEach((child) => {
-                        ;[content, slideOptions] = this.separateInlineMetadataAndMarkdown(child, slideOptions)
-                        markdownSections +=
-                            '<section ' +
-                            slideOptions.attributes +
-                            ' data-markdown>' +
-                            this.createMarkdownSlide(content, slideOptions) +
-                            '</section>'
-                    })
-
-                    markdownSections += '</section>'
-                } else {
-                    ;[content, slideOptions] = this.separateInlineMetadataAndMarkdown(sectionStack[i], slideOptions)
-                    markdownSections +=
-                        '<section ' +
-                        slideOptions.attributes +
-                        ' data-markdown>' +
-                        this.createMarkdownSlide(content, slideOptions) +
-                        '</section>'
-                }
-            }
-
-            return markdownSections
-        },
-
         /**
          * Parses any current data-markdown slides, splits
          * multi-slide markdown into separate sections and
@@ -322,29 +172,53 @@ const plugin = () => {
         processSlides: function (scope) {
             const self = this
 
-            return new Promise(function (resolve) {
+            ;[].slice
+                .call(scope.querySelectorAll('section[id]:not([data-markdown])'))
+                .forEach((section) => slideIds.add(section.id))
+
+            return new Promise(function (resolve, reject) {
                 const externalPromises = []
 
                 ;[].slice
-                    .call(scope.querySelectorAll('section[data-markdown]:not([data-markdown-parsed])'))
+                    .call(
+                        scope.querySelectorAll(
+                            'section[data-markdown]:not([data-markdown-parsed]):not([data-markdown-prerendered])'
+                        )
+                    )
                     .forEach((section) => {
+                        const options = {
+                            templates: section.getAttribute('data-templates'),
+                            separator: section.getAttribute('data-separator'),
+                            verticalSeparator: section.getAttribute('data-separator-vertical'),
+                            notesSeparator: section.getAttribute('data-separator-notes'),
+                            notesFile: section.getAttribute('data-notes-file'),
+                            // an empty attribute separates the slides by every heading
+                            separateByHeading: section.hasAttribute('data-separator-by-heading')
+                                ? section.getAttribute('data-separator-by-heading') || true
+                                : false,
+                            separateVerticalByHeading: section.getAttribute('data-separator-by-heading-vertical'),
+                            attributes: self.getForwardedAttributes(section),
+                        }
+
                         if (section.getAttribute('data-markdown').length) {
+                            options.markdownUrl = section.getAttribute('data-markdown')
+
                             externalPromises.push(
                                 self.loadExternalMarkdown(section).then(
                                     // Finished loading external file
                                     function (xhr) {
-                                        section.outerHTML = self.slidify(xhr.responseText, {
-                                            separator: section.getAttribute('data-separator'),
-                                            verticalSeparator: section.getAttribute('data-separator-vertical'),
-                                            notesSeparator: section.getAttribute('data-separator-notes'),
-                                            separateByHeading: section.hasAttribute('data-separator-by-heading'),
-                                            hasDataSeparator: section.hasAttribute('data-separator'),
-                                            attributes: self.getForwardedAttributes(section),
-                                        })
+                                        return self.renderSection(section, xhr.responseText, options)
                                     },
 
                                     // Failed to load markdown
                                     function (xhr, url) {
+                                        diagnostics.set(section, [
+                                            {
+                                                level: 'error',
+                                                message: `Failed to fetch the markdown. Status: ${xhr.status}`,
+                                                file: options.markdownUrl,
+                                            },
+                                        ])
                                         section.outerHTML =
                                             '<section data-state="alert">' +
                                             'ERROR: The attempt to fetch ' +
@@ -359,21 +233,185 @@ const plugin = () => {
                                 )
                             )
                         } else {
-                            section.outerHTML = self.slidify(self.getMarkdownFromSlide(section), {
-                                separator: section.getAttribute('data-separator'),
-                                verticalSeparator: section.getAttribute('data-separator-vertical'),
-                                notesSeparator: section.getAttribute('data-separator-notes'),
-                                separateByHeading: section.hasAttribute('data-separator-by-heading'),
-                                hasDataSeparator: section.hasAttribute('data-separator'),
-                                attributes: self.getForwardedAttributes(section),
-                            })
+                            externalPromises.push(
+                                self.renderSection(section, self.getMarkdownFromSlide(section), options)
+                            )
                         }
                     })
 
-                Promise.all(externalPromises).then(resolve)
+                Promise.all(externalPromises).then(resolve, reject)
             })
         },
 
+        /**
+         * Replaces the markdown section with the slides rendered from its markdown
+         *
+         * In live reload mode the slides are kept between two comments, so that
+         * they can be replaced when the markdown, its includes or templates change
+         */
+        renderSection: function (section, markdown, options) {
+            if (!deck?.getConfig().markdown?.liveReload) {
+                const sectionDiagnostics = []
+                diagnostics.set(section, sectionDiagnostics)
+
+                return this.renderSlides(markdown, {
+                    ...options,
+                    diagnostics: sectionDiagnostics,
+                    usedIds: slideIds,
+                }).then((html) => {
+                    section.outerHTML = html
+                })
+            }
+
+            const source = {
+                section: section.cloneNode(true),
+                markdown,
+                options: { ...options },
+                dependencies: new Set(),
+                ids: [],
+                start: document.createComment(' awesomd-source '),
+                end: document.createComment(' awesomd-source-end '),
+            }
+            section.before(source.start)
+            section.replaceWith(source.end)
+            sources.push(source)
+
+            return this.renderSource(source, markdown)
+        },
+
+        /**
+         * Renders the slides of a watched section between its comments
+         * and remembers the files they depend on, their diagnostics and ids
+         */
+        renderSource: function (source, markdown) {
+            const options = { ...source.options, dependencies: new Set(), diagnostics: [], usedIds: slideIds }
+            // the slides are rendered again, so their previous ids are free
+            source.ids.forEach((id) => slideIds.delete(id))
+
+            return this.renderSlides(markdown, options).then((html) => {
+                source.markdown = markdown
+                source.dependencies = options.dependencies
+                diagnostics.set(source, options.diagnostics)
+                if (options.markdownUrl) {
+                    source.dependencies.add(options.markdownUrl)
+                }
+
+                while (source.start.nextSibling !== source.end) {
+                    source.start.nextSibling.remove()
+                }
+                const template = document.createElement('template')
+                template.innerHTML = html
+                source.ids = [...template.content.querySelectorAll('section[id]')].map((section) => section.id)
+                source.ids.forEach((id) => slideIds.add(id))
+                source.end.before(template.content)
+            })
+        },
+
+        /**
+         * Checks the files of the watched sections for changes
+         * every interval milliseconds
+         *
+         * Resolves once the current versions of the files are known
+         */
+        watchSources: function (interval) {
+            let checking = false
+
+            setInterval(() => {
+                if (!checking) {
+                    checking = true
+                    this.reloadChangedSources().finally(() => (checking = false))
+                }
+            }, interval)
+
+            return this.reloadChangedSources()
+        },
+
+        /**
+         * Renders the watched sections again whose markdown, includes or
+         * templates changed since the last check, keeping the current slide
+         */
+        reloadChangedSources: function () {
+            const urls = new Set(sources.flatMap((source) => [...source.dependencies]))
+
+            return Promise.all(
+                [...urls].map((url) =>
+                    this.fetchVersion(url).then(
+                        (version) => {
+                            const isChanged = url in sourceVersions && sourceVersions[url] !== version
+                            sourceVersions[url] = version
+                            return isChanged
+                        },
+                        (error) => {
+                            console.error(error.message)
+                            return false
+                        }
+                    )
+                )
+            ).then((changes) => {
+                const changedUrls = [...urls].filter((url, index) => changes[index])
+                const changedSources = sources.filter((source) =>
+                    changedUrls.some((url) => source.dependencies.has(url))
+                )
+                if (!changedSources.length) {
+                    return
+                }
+
+                changedUrls.forEach((url) => this.forgetTemplate(url))
+                const { h, v, f } = deck.getIndices()
+                isReloading = true
+
+                return Promise.all(
+                    changedSources.map((source) =>
+                        this.loadSourceMarkdown(source).then(
+                            (markdown) => this.renderSource(source, markdown),
+                            () => console.error(`Failed to reload ${source.options.markdownUrl}`)
+                        )
+                    )
+                )
+                    .finally(() => (isReloading = false))
+                    .then(() => this.convertSlides())
+                    .then(() => {
+                        deck.sync()
+                        deck.slide(h, v, f)
+                        this.renderDiagnostics()
+                    })
+            })
+        },
+
+        /**
+         * Returns a promise of the current markdown of a watched section
+         */
+        loadSourceMarkdown: function (source) {
+            if (!source.options.markdownUrl) {
+                return Promise.resolve(source.markdown)
+            }
+            return this.loadExternalMarkdown(source.section).then((xhr) => xhr.responseText)
+        },
+
+        /**
+         * Fetches the version of the file at the given URL, which is its
+         * ETag or Last-Modified header or, if there is neither, its content
+         */
+        fetchVersion: function (url) {
+            return new Promise(function (resolve, reject) {
+                const xhr = new XMLHttpRequest()
+
+                xhr.onreadystatechange = function () {
+                    if (xhr.readyState === 4) {
+                        if (xhr.status >= 200 && xhr.status < 300) {
+                            resolve(xhr.getResponseHeader('ETag') || xhr.getResponseHeader('Last-Modified'))
+                        } else {
+                            reject(new Error(`Failed to check ${url} for changes. Status: ${xhr.status}`))
+                        }
+                    }
+                }
+
+                xhr.open('HEAD', url, true)
+                xhr.setRequestHeader('Cache-Control', 'no-cache')
+                xhr.send()
+            }).then((version) => version || this.fetchText(url))
+        },
+
         loadExternalMarkdown: function (section) {
             return new Promise(function (resolve, reject) {
                 const xhr = new XMLHttpRequest(),
@@ -398,6 +436,9 @@ const plugin = () => {
                 }.bind(this, section, xhr)
 
                 xhr.open('GET', url, true)
+                if (isReloading) {
+                    xhr.setRequestHeader('Cache-Control', 'no-cache')
+                }
 
                 try {
                     xhr.send()
@@ -527,6 +568,8 @@ const plugin = () => {
                         DEFAULT_SLIDE_ATTRIBUTES_SEPARATOR
                 )
 
+                this.addFragments(section)
+
                 // If there were notes, we need to re-add them after
                 // having overwritten the section's HTML
                 if (notes) {
@@ -537,416 +580,111 @@ const plugin = () => {
             return Promise.resolve()
         },
 
-        escapeForHTML: function (input) {
-            return input.replace(/([&<>'"])/g, (char) => HTML_ESCAPE_MAP[char])
-        },
-
         /**
-         * Parse the front matter from the Markdown document
-         *
-         * Returns updated options with the default metadata
-         * and updated content without the front matter
+         * Returns the warnings and errors of all markdown sections as
+         * { level, message, file, line }, where file and line are
+         * undefined if they are not known
          */
-        parseFrontMatter: function (content, options) {
-            options = this.getSlidifyOptions(options)
-            if (/^(\n|\s)/.test(content)) {
-                content = content.replace(/^(\n|\s)+/, '')
-            }
-
-            const parsedFrontMatter = fm(content)
-
-            content = parsedFrontMatter.body
-            if (parsedFrontMatter.frontmatter) {
-                options.metadata = yaml.load(parsedFrontMatter.frontmatter)
-            }
-            return [content, options]
+        getDiagnostics: function () {
+            return [...diagnostics.values()].flat()
         },
 
         /**
-         * Add slide separator in case where the heading indicates the start of new slide
-         *
-         * Returns the updated markdown file with added slide separator above every slide headings
+         * Shows or hides the overlay listing the diagnostics,
+         * toggles it if visible is not given
          */
-        addSlideSeparator: function (markdown, options) {
-            const lines = markdown.split('\n')
-            const result = []
-            let firstHeadingProcessingDone = false
-
-            lines.forEach((line, index) => {
-                if (line.match(/^#{1,6}\s+/)) {
-                    if (!firstHeadingProcessingDone) {
-                        firstHeadingProcessingDone = true
-                    } else {
-                        const previousLine = lines[index - 1] || ''
-                        if (previousLine !== options.slideSeparator) {
-                            result.push(options.slideSeparator)
-                        }
-                    }
-                }
-                result.push(line)
-            })
-            markdown = result.join('\n')
-            return markdown
-        },
-
-        /**
-         * Separates the inline metadata and content for slide having inline metadata in yaml block as
-         *
-         * ```yaml
-         * metadata_key1: metadata_value1
-         * metadata_key2: metadata_value2
-         * ```
-         */
-        extractYAMLMetadata: function (markdown, options) {
-            const markdownParts = yamlRegex.exec(markdown)
-            yamlRegex.lastIndex = 0
-            if (markdownParts && markdownParts[2]) {
-                const metadata = markdownParts[2]
-                markdown = markdownParts[3] || ''
-
-                try {
-                    const metadataYAML = yaml.load(metadata)
-                    if (metadataYAML === undefined) {
-                        throw new Error('The inline metadata is not valid.')
-                    }
-                    options.metadata = { ...options.metadata, ...metadataYAML }
-                    options.attributes = 'class=' + (options.metadata.slide || '')
-                } catch (error) {
-                    console.error(error)
-                    markdown = error.message
-                }
+        toggleDiagnostics: function (visible = !diagnosticsElement) {
+            if (!visible) {
+                diagnosticsElement?.remove()
+                diagnosticsElement = undefined
+                return
             }
-            return [markdown, options]
-        },
 
-        /**
-         * Separates the inline metadata and content for slides having metadata as
-         *
-         * ::metadata_key1:metadata_value1 ::metadata_key2:metadata_value2
-         */
-        extractInlineMetadata: function (markdown, options) {
-            const inlineMetadata = {}
-            const matches = markdown.match(headingWithMetadataRegex)
-
-            if (matches && matches[0]) {
-                const metadataMatches = matches[0].match(metadataRegex)
-                if (metadataMatches) {
-                    metadataMatches.forEach((metadataMatch) => {
-                        const [key, value] = metadataMatch.replace('::', '').split(':')
-                        inlineMetadata[key.trim()] = value.trim()
-                        const metadataPattern = new RegExp(`::\\b${key.trim()}\\b:\\s*${value.trim()}`)
-                        markdown = markdown.replace(metadataPattern, '')
-                    })
-                }
+            if (!diagnosticsElement) {
+                diagnosticsElement = document.createElement('div')
+                diagnosticsElement.className = 'awesomd-diagnostics'
+                deck.getRevealElement().appendChild(diagnosticsElement)
             }
-
-            options.metadata = { ...options.metadata, ...inlineMetadata }
-            options.attributes = 'class=' + (options.metadata.slide || '')
-            return [markdown, options]
+            this.renderDiagnostics()
         },
 
         /**
-         * Separates the inline metadata and content for each slide
-         *
-         * Returns updated options with the inline metadata and
-         * updated markdown without the inline metadata for each slide
+         * Renders the diagnostics into the overlay if it is shown
          */
-        separateInlineMetadataAndMarkdown: function (markdown, options) {
-            const yamlMetadata = yamlRegex.test(markdown)
-            const newMetadata = headingWithMetadataRegex.test(markdown)
-            yamlRegex.lastIndex = 0
-
-            if (options.separateByHeading) {
-                ;[markdown, options] = this.extractInlineMetadata(markdown, options)
-            } else {
-                switch (true) {
-                    case newMetadata:
-                        ;[markdown, options] = this.extractInlineMetadata(markdown, options)
-                        break
-                    case yamlMetadata:
-                        ;[markdown, options] = this.extractYAMLMetadata(markdown, options)
-                        break
-                    default:
-                        if (options.metadata) {
-                            options.attributes = 'class=' + (options.metadata.slide || '')
-                        }
-                        break
-                }
+        renderDiagnostics: function () {
+            if (!diagnosticsElement) {
+                return
             }
 
-            return [markdown, options]
+            const items = this.getDiagnostics().map(({ level, message, file, line }) => {
+                const location = [file && this.getRelativeUrl(file), line].filter((part) => part).join(':')
+                return (
+                    `<li class="awesomd-diagnostics-${level}">` +
+                    (location
+                        ? `<span class="awesomd-diagnostics-location">${this.escapeForHTML(location)}</span> `
+                        : '') +
+                    this.escapeForHTML(message) +
+                    '</li>'
+                )
+            })
+
+            diagnosticsElement.innerHTML =
+                '<p class="awesomd-diagnostics-title">Markdown diagnostics</p>' +
+                (items.length ? `<ul>${items.join('')}</ul>` : '<p>No problems found.</p>')
         },
 
         /**
-         * Renders the template for each slide
+         * Turns the elements of the section ending with a fragment marker, see
+         * splitFragmentMarker, into fragments. The marker applies to the paragraph
+         * or list item it ends, to the row of a table cell and to an image alone
+         * in its paragraph. Headings and alerts are handled by their renderer.
          *
-         * Returns the rendered template with the content
+         * All list items of slides with "animate: lists" become fragments.
          */
-        renderTemplate: function (content, options) {
-            try {
-                const titleRegex = /^#+\r*(.*?)\r*$/m
-                const matches = content.match(titleRegex)
-                let title
-                if (matches) {
-                    title = matches[1].trim()
-                }
-                const slideContent = content.replace(titleRegex, '').trim()
-
-                options = this.getSlidifyOptions(options)
-                const url = new URL(import.meta.url)
-                const templatePath = `${url.origin}/templates/${options.metadata.slide}-template.html`
-                const xhr = new XMLHttpRequest()
-                xhr.open('GET', templatePath, false)
-                xhr.send()
-                const tempDiv = document.createElement('div')
-                if (xhr.status === 200) {
-                    tempDiv.innerHTML = Mustache.render(xhr.responseText, {
-                        title: title,
-                        content: slideContent,
-                        metadata: options.metadata,
-                    })
-                } else {
-                    tempDiv.innerHTML = `Template for slide "${options.metadata.slide}" not found.`
-                    console.error(`Failed to fetch template. Status: ${xhr.status}`)
+        addFragments: function (section) {
+            const walker = document.createTreeWalker(section, NodeFilter.SHOW_TEXT)
+            const markedNodes = []
+            while (walker.nextNode()) {
+                const node = walker.currentNode
+                if (this.splitFragmentMarker(node.nodeValue)[1] && !node.parentElement.closest('code')) {
+                    markedNodes.push(node)
                 }
-                return tempDiv.textContent
-            } catch (error) {
-                console.error('Error:', error)
-                throw error
             }
-        },
-
-        /**
-         * Splits the slide content to different blocks
-         * So that every blocks can be rendered separately
-         */
-        splitSlideContentIntoBlocks: function (content) {
-            const lines = content.split(/\r?\n/)
-            const blocks = []
-            let currentBlock = []
-            let inCodeBlock = false
-            let inListBlock = false
-
-            lines.forEach((line) => {
-                const trimmedLine = line.trim()
-
-                // Check for code block
-                if (/^```/.test(trimmedLine)) {
-                    if (!inCodeBlock) {
-                        // Start of code block
-                        blocks.push(currentBlock.join('\n'))
-                        currentBlock = [line]
-                        inCodeBlock = true
-                    } else {
-                        // Ending of code block
-                        currentBlock.push(line)
-                        blocks.push(currentBlock.join('\n'))
-
-                        // Reset code block
-                        currentBlock = []
-                        inCodeBlock = false
-                    }
-                    return
-                } else if (inCodeBlock) {
-                    // Inside of code block
-                    currentBlock.push(line)
-                    return
-                }
-
-                // Check for alert blocks
-                if (/^>+\s*\[!/.test(trimmedLine)) {
-                    blocks.push(currentBlock.join('\n'))
-                    currentBlock = [line]
-                    return
-                } else if (trimmedLine.startsWith('>')) {
-                    currentBlock.push(line)
-                    return
-                }
 
-                // Check for lists
-                if (/^[-*]\s+/.test(trimmedLine) || /^\d+\.\s+/.test(trimmedLine)) {
-                    if (!inListBlock) {
-                        // Start of lists
-                        blocks.push(currentBlock.join('\n'))
-                        currentBlock = []
-                        inListBlock = true
+            markedNodes.forEach((node) => {
+                const [text, fragment] = this.splitFragmentMarker(node.nodeValue)
+                node.nodeValue = text
+
+                let element = node.parentElement.closest('li, p, td, th') || node.parentElement
+                if (element.matches('td, th')) {
+                    element = element.parentElement
+                } else if (element.matches('li > p:first-child')) {
+                    element = element.parentElement
+                } else if (element.matches('p') && element.querySelector(':scope > img:only-child')) {
+                    if (!element.textContent.trim()) {
+                        element = element.firstElementChild
                     }
-                    // Keep adding the list to currentBlock
-                    currentBlock.push(line)
-                    return
-                } else if (inListBlock) {
-                    // Reset the currentBlock after list is added to blocks
-                    blocks.push(currentBlock.join('\n'))
-                    currentBlock = []
-                    inListBlock = false
                 }
 
-                // Check for images
-                if (/^!\[.*\]\(.*\)/.test(trimmedLine)) {
-                    blocks.push(currentBlock.join('\n'))
-                    blocks.push(trimmedLine)
-                    currentBlock = []
-                    return
+                element.classList.add(...fragment.className.split(' '))
+                if (fragment.index) {
+                    element.setAttribute('data-fragment-index', fragment.index)
                 }
-
-                // Handle empty lines
-                if (!trimmedLine) {
-                    if (currentBlock.length > 0) {
-                        blocks.push(currentBlock.join('\n'))
-                    }
-                    currentBlock = []
-                    inListBlock = false
-                    return
-                }
-
-                // Check for plain text content
-                blocks.push(currentBlock.join('\n'))
-                currentBlock = []
-                blocks.push(line)
             })
 
-            if (currentBlock.length > 0) {
-                blocks.push(currentBlock.join('\n'))
+            if (this.toList(section.getAttribute('data-animate')).includes('lists')) {
+                section.querySelectorAll('li').forEach((item) => item.classList.add('fragment'))
             }
-
-            return blocks
         },
 
         /**
-         * Returns the nested blockquote depending upon the number of '>' in the alert block
+         * Opens or closes collapsed alerts when their fragment
+         * is shown or hidden
          */
-        createNestedBlockquote: function (count, content) {
-            if (count <= 0) return content
-            return `<blockquote>${this.createNestedBlockquote(count - 1, content)}</blockquote>`
-        },
-
-        /**
-         * Returns the rendered blockquote
-         */
-        renderBlockquote: function (alertMessageArray) {
-            const alertDiv = document.createElement('div')
-            let groupedContent = []
-            let currentCount = 0
-
-            const count = alertMessageArray[0].match(/^(>+)/)[1].length
-            for (const message of alertMessageArray) {
-                const text = message.replace(/^>+\s*/, '').trim()
-
-                // get the count of '>' at the start and create the blockquote
-                // create a nested blockqoute depending upon the count
-                // for example, if count = 2 then blockquotes = '<blockquote><blockquote>content</blockquote></blockquote>'
-                if (count !== currentCount && groupedContent.length > 0) {
-                    const blockContent = `<p>${groupedContent.join('<br>')}</p>`
-                    const blockquotes = this.createNestedBlockquote(currentCount, blockContent)
-                    alertDiv.insertAdjacentHTML('beforeend', blockquotes)
-                    groupedContent = []
-                }
-
-                currentCount = count
-                groupedContent.push(text)
-            }
-            if (groupedContent.length > 0) {
-                const blockContent = `<p>${groupedContent.join('<br>')}</p>`
-                const blockquotes = this.createNestedBlockquote(currentCount, blockContent)
-                alertDiv.insertAdjacentHTML('beforeend', blockquotes)
-            }
-            return alertDiv.innerHTML
-        },
-
-        /**
-         * Returns the markdown alerts
-         */
-        renderMarkdownAlerts: function (content) {
-            const alertsMatch = content.match(alertRegex)
-            if (!alertsMatch) {
-                return content
-            }
-            // separate different alerts or other contents into different blocks and render them separately
-            const blocks = this.splitSlideContentIntoBlocks(content)
-
-            const alertsContainer = document.createElement('div')
-
-            for (const block of blocks) {
-                // Check if the block has following pattern
-                // > [!CAUTION]
-                // > Advises about risks or negative outcomes of certain actions.
-                if (block.match(alertBlockRegex)) {
-                    const alert = alertBlockRegex.exec(block)
-                    alertBlockRegex.lastIndex = 0
-
-                    let alertContentArray = alert.input.split('\n')
-
-                    const match = alertContentArray[0].match(alertTypeRegex)
-                    const type = match[0].match(regexToGetAlertType)[1].toLowerCase()
-                    const count = alertContentArray[0].match(/^(>+)/)[1].length
-
-                    const alertDiv = document.createElement('div')
-                    // check if the first line of the block has single '>'
-                    // if true then render the block as valid alert
-                    // else render the block as block quote
-                    if (type in alertIcons && count === 1) {
-                        alertDiv.classList.add('alert', type)
-                        alertContentArray = alertContentArray.slice(1)
-
-                        const alertTitle = document.createElement('div')
-                        alertTitle.classList.add('alert-title')
-                        alertTitle.innerHTML = alertIcons[type]
-
-                        const textNode = document.createTextNode(' ' + type.charAt(0).toUpperCase() + type.slice(1))
-                        alertTitle.appendChild(textNode)
-                        document.body.appendChild(alertTitle)
-                        alertDiv.appendChild(alertTitle)
-                    } else {
-                        alertDiv.classList.add('alert')
-                    }
-                    for (const message of alertContentArray) {
-                        const match = alertContentArray[0].match(/^(>+)/)
-                        const count = match === null ? 1 : match[1].length
-                        const blockquotes = this.createNestedBlockquote(count, message.replace(/^>+\s*/, '').trim())
-                        alertDiv.insertAdjacentHTML('beforeend', blockquotes)
-                    }
-                    this.styleBlockquotes(alertDiv)
-                    alertsContainer.appendChild(alertDiv)
-                }
-                // for invalid alert blocks render the block as block quote
-                else if (block.match(alertTypeRegex) || block.match(alertMessageRegex)) {
-                    const alertMessageArray = block.split('\n')
-
-                    const alertDiv = document.createElement('div')
-                    alertDiv.classList.add('alert')
-
-                    alertDiv.innerHTML = this.renderBlockquote(alertMessageArray)
-
-                    this.styleBlockquotes(alertDiv)
-                    alertsContainer.appendChild(alertDiv)
-                } else {
-                    alertsContainer.appendChild(document.createTextNode('\n\n'))
-                    const textNode = document.createTextNode(block)
-                    alertsContainer.appendChild(textNode)
-                }
-            }
-            return alertsContainer.innerHTML
-        },
-
-        /**
-         * Adjust styling if there are nested blockquote
-         */
-        styleBlockquotes: function (parent) {
-            const blockquotes = parent.querySelectorAll('blockquote')
-
-            blockquotes.forEach((blockquote) => {
-                if (blockquote.querySelector('blockquote')) {
-                    parent.style.setProperty('--padding-top', '0px')
-                    parent.style.setProperty('--padding-bottom', '0px')
-                    const parentBlockquote = blockquote.closest('blockquote')
-
-                    if (parentBlockquote) {
-                        parentBlockquote.style.paddingTop = '0'
-                        parentBlockquote.style.paddingBottom = '0'
-                    }
-
-                    blockquote.style.border = '0 solid'
-                    blockquote.style.borderLeftWidth = '6px'
+        toggleFoldedAlert: function (event, open) {
+            ;(event.fragments || [event.fragment]).forEach((fragment) => {
+                if (fragment.classList.contains('alert-fold')) {
+                    fragment.closest('details.alert').open = open
                 }
             })
         },
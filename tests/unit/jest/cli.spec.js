@@ -0,0 +1,143 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { build, formatDiagnostic, parseArguments, renderDeck, renderPage } from '../../../cli/build'
+
+describe('parseArguments', () => {
+    it('should parse the build command', () => {
+        expect(parseArguments(['build', 'deck.md', '--templates', './templates', '--out', 'public/'])).toEqual({
+            deck: 'deck.md',
+            out: 'public/',
+            templates: './templates',
+            separator: undefined,
+            verticalSeparator: undefined,
+            separateByHeading: false,
+            separateVerticalByHeading: undefined,
+            profile: undefined,
+            math: false,
+            revealUrl: 'https://cdn.jsdelivr.net/npm/reveal.js@5',
+        })
+    })
+
+    it.each([
+        [['--separate-by-heading'], true, undefined],
+        [['--separate-by-heading=h1,h2', '--separate-vertical-by-heading', 'h3'], 'h1,h2', 'h3'],
+    ])('should parse the heading levels of %j', (args, separateByHeading, separateVerticalByHeading) => {
+        expect(parseArguments(['build', ...args, 'deck.md'])).toMatchObject({
+            deck: 'deck.md',
+            separateByHeading,
+            separateVerticalByHeading,
+        })
+    })
+
+    it.each([[[]], [['serve', 'deck.md']], [['build']]])('should reject the arguments %j', (args) => {
+        expect(() => parseArguments(args)).toThrow()
+    })
+})
+
+describe('build', () => {
+    let directory
+    const fileUrl = (name) => pathToFileURL(path.join(directory, name)).href
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'awesomd-'))
+        fs.mkdirSync(path.join(directory, 'templates'))
+        fs.writeFileSync(
+            path.join(directory, 'deck.md'),
+            '---\ntitle: The deck\npresenter: Jane\n---\n```yaml\nslide: cover\n```\n# Welcome\n\n---\n!include part.md'
+        )
+        fs.writeFileSync(path.join(directory, 'part.md'), '# Part\n> [!NOTE]\n> included')
+        fs.writeFileSync(
+            path.join(directory, 'templates', 'cover-template.html'),
+            '# {{title}}\n{{metadata.presenter}}'
+        )
+    })
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true })
+    })
+
+    it('should render the sections with includes and templates', async () => {
+        const deck = await renderDeck(path.join(directory, 'deck.md'), { templates: path.join(directory, 'templates') })
+
+        expect(deck).toEqual({
+            title: 'The deck',
+            sections:
+                `<section class="cover" data-source-file="${fileUrl('deck.md')}" data-source-lines="5-8"` +
+                ' data-markdown data-markdown-prerendered>' +
+                '<script type="text/template"># Welcome\nJane</script></section>' +
+                `<section  data-source-file="${fileUrl('part.md')}" data-source-lines="1-3"` +
+                ' data-markdown data-markdown-prerendered>' +
+                '<script type="text/template"># Part\n> [!NOTE]\n> included</script></section>',
+            diagnostics: [],
+        })
+    })
+
+    it('should report the problems of the deck with their file and line', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {})
+        fs.writeFileSync(path.join(directory, 'part.md'), '# Part\n\n---\n```yaml\nslide: [cover\n```\n# Broken')
+
+        const { diagnostics } = await renderDeck(path.join(directory, 'deck.md'), {})
+
+        expect(diagnostics).toEqual([
+            { level: 'error', message: 'Template for slide "cover" not found.', file: fileUrl('deck.md'), line: 5 },
+            expect.objectContaining({ file: fileUrl('part.md'), line: 4 }),
+        ])
+        expect(diagnostics[1].message).toMatch(/^Slide 3: invalid YAML metadata/)
+        expect(formatDiagnostic(diagnostics[0])).toBe(
+            `${path.relative(process.cwd(), path.join(directory, 'deck.md'))}:5: error: Template for slide "cover" not found.`
+        )
+    })
+
+    it('should separate the slides by the heading levels', async () => {
+        fs.writeFileSync(path.join(directory, 'levels.md'), '# Intro\n## Details\n### Note\n# Outro')
+        const { sections } = await renderDeck(path.join(directory, 'levels.md'), {
+            separateByHeading: 'h1',
+            separateVerticalByHeading: 'h2',
+        })
+
+        expect(sections.match(/<script type="text\/template">[^<]*/g)).toEqual([
+            '<script type="text/template"># Intro',
+            '<script type="text/template">## Details\n### Note',
+            '<script type="text/template"># Outro',
+        ])
+        expect(sections).toMatch(/^<section ><section /)
+    })
+
+    it('should write the page of the presentation', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {})
+        const out = path.join(directory, 'out')
+
+        const pagePath = await build({
+            ...parseArguments(['build', path.join(directory, 'deck.md'), '--out', out]),
+            templates: path.join(directory, 'templates'),
+        })
+
+        expect(pagePath).toBe(path.join(out, 'index.html'))
+        const page = fs.readFileSync(pagePath, 'utf8')
+        expect(page).toContain('<title>The deck</title>')
+        expect(page).toContain('<script type="text/template"># Welcome\nJane</script>')
+        expect(fs.existsSync(path.join(out, 'plugin', 'awesoMD', 'awesoMD.js'))).toBe(true)
+    })
+})
+
+describe('renderPage', () => {
+    it('should escape the title and load reveal.js from the given URL', () => {
+        const page = renderPage({ title: 'Q&A <live>', sections: '<section></section>' }, { revealUrl: '/reveal' })
+
+        expect(page).toContain('<title>Q&amp;A &lt;live&gt;</title>')
+        expect(page).toContain('<script src="/reveal/dist/reveal.js"></script>')
+        expect(page).toContain('<div class="slides"><section></section></div>')
+    })
+
+    it('should load the styles of KaTeX and enable math for decks with math', () => {
+        const page = renderPage({ title: 'Math', sections: '' }, { revealUrl: '/reveal', math: true })
+
+        expect(page).toContain('<link rel="stylesheet" href="css/katex/katex.min.css">')
+        expect(page).toContain('markdown: { math: true },')
+    })
+})
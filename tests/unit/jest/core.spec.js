@@ -0,0 +1,133 @@
+/**
+ * @jest-environment node
+ */
+import { marked } from 'marked'
+import core from '../../../plugin/awesoMD/core'
+
+describe('core', () => {
+    const files = {
+        'file:///deck/templates/cover-template.html': '<div class="cover"># {{title}}\n{{> footer}}</div>',
+        'file:///deck/templates/footer-template.html': '<footer>{{metadata.presenter}} &amp; team</footer>',
+        'file:///deck/agenda.md': '# Agenda\n> [!NOTE]\n> - first',
+    }
+    const loadText = (url) =>
+        url in files ? Promise.resolve(files[url]) : Promise.reject(new Error(`Failed to fetch ${url}. Status: 404`))
+
+    it('should render the sections without a DOM', async () => {
+        const awesoMD = core({ loadText, getBaseUrl: () => 'file:///deck/' })
+        awesoMD.configure({})
+
+        const html = await awesoMD.renderSlides(
+            '---\npresenter: Jane\n---\n```yaml\nslide: cover\n```\n# Welcome\n\n---\n!include agenda.md',
+            {}
+        )
+
+        expect(typeof document).toBe('undefined')
+        expect(html).toBe(
+            '<section class="cover" data-source-lines="4-7" data-markdown><script type="text/template"># Welcome\nJane & team</script></section>' +
+                '<section  data-source-file="agenda.md" data-source-lines="1-3" data-markdown><script type="text/template"># Agenda\n> [!NOTE]\n> - first</script></section>'
+        )
+    })
+
+    it('should use the environment to find templates and profiles', async () => {
+        const awesoMD = core({
+            loadText,
+            getBaseUrl: () => 'file:///deck/',
+            getPageTemplate: (name) => (name === 'cover' ? '## {{title}}' : undefined),
+            getProfile: () => 'internal',
+        })
+
+        const html = await awesoMD.renderSlides(
+            '```yaml\nslide: cover\n```\n# Welcome\n\n---\n```yaml\naudience: partner\n```\n# Partners',
+            {}
+        )
+
+        expect(html).toBe(
+            '<section class="cover" data-source-lines="1-4" data-markdown><script type="text/template">## Welcome</script></section>'
+        )
+    })
+
+    it('should render code blocks with the fence handlers of their language', async () => {
+        const awesoMD = core({ loadText, getBaseUrl: () => 'file:///deck/' })
+        awesoMD.configure({
+            fenceHandlers: {
+                chart: (code, info, metadata) =>
+                    `<div class="chart ${info}" title="${metadata.title}">\n\n${code}</div>`,
+                mermaid: (code) => Promise.resolve(`<svg>${code.trim()}</svg>`),
+                plain: () => undefined,
+            },
+        })
+
+        const html = await awesoMD.renderSlides(
+            '---\ntitle: Sales\n---\n# Charts\n```chart bar\nQ1,Q2\n```\n```mermaid\ngraph TD\n```\n```plain\ntext\n```',
+            {}
+        )
+        const markdown = html.match(/<script type="text\/template">([\s\S]*)<\/script>/)[1]
+
+        expect(marked(markdown)).toBe(
+            '<h1 id="charts">Charts</h1>\n' +
+                '<div class="chart chart bar" title="Sales">\n\nQ1,Q2</div>\n' +
+                '<svg>graph TD</svg>\n' +
+                '<pre><code   class="plain">text</code></pre>'
+        )
+    })
+
+    it('should render a code block as code if its fence handler fails', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {})
+        const awesoMD = core({ loadText, getBaseUrl: () => 'file:///deck/' })
+        awesoMD.configure({ fenceHandlers: { mermaid: () => Promise.reject(new Error('syntax error')) } })
+        const diagnostics = []
+
+        const html = await awesoMD.renderSlides('# Diagram\n```mermaid\ngraph\n```', { diagnostics })
+
+        expect(html).toContain('# Diagram\n```mermaid\ngraph\n```</script>')
+        expect(diagnostics).toEqual([
+            { level: 'error', message: 'Failed to render the "mermaid" block: syntax error', file: undefined, line: 1 },
+        ])
+    })
+
+    it('should resolve the default templates against the base URL', () => {
+        const awesoMD = core({ getBaseUrl: () => 'file:///deck/' })
+
+        expect(awesoMD.resolveTemplateUrl('cover', {})).toBe('file:///deck/templates/cover-template.html')
+    })
+
+    it('should typeset math in slides, alerts and notes with the math config', () => {
+        const awesoMD = core()
+        awesoMD.configure({ math: { macros: { '\\R': '\\mathbb{R}' } } })
+
+        const html = marked(
+            'Inline $x_1 + y_1$ in $\\R$ costs $5 and $10\n\n$$\n\\sum_i x_i\n$$\n\n> [!NOTE] $a_b$\n> $$c_d$$'
+        )
+        expect(html).not.toContain('<em>')
+        expect(html).toContain('costs $5 and $10</p>')
+        expect(marked('Costs $10 and `$y$`')).toBe('<p>Costs $10 and <code>$y$</code></p>\n')
+        expect(marked('From $a\nto b$')).not.toContain('katex')
+        expect(marked('$$a$$ and $$b$$')).toMatch(
+            /^<p><span class="katex-display">.*>a<\/annotation>.*<\/span> and <span class="katex-display">.*>b<\/annotation>/
+        )
+        expect(html).toContain('<annotation encoding="application/x-tex">x_1 + y_1</annotation>')
+        expect(html).toContain('<annotation encoding="application/x-tex">\\R</annotation>')
+        expect(html).toContain('<span class="katex-display"><span class="katex"><span class="katex-mathml"><math')
+        expect(html).toContain('<annotation encoding="application/x-tex">\\sum_i x_i</annotation>')
+        expect(html).toMatch(/<div class="alert-title">.*<annotation encoding="application\/x-tex">a_b<\/annotation>/)
+        expect(html).toContain('<annotation encoding="application/x-tex">c_d</annotation>')
+
+        const slide = awesoMD.createMarkdownSlide('# Energy\nNote: $E = mc^2$', {})
+        expect(slide).toContain('<aside class="notes"><p><span class="katex">')
+    })
+
+    it('should render with the extensions of the core configured last', () => {
+        const mathCore = core()
+        mathCore.registerAlert('example')
+        mathCore.configure({ math: true })
+        const blockExtensions = marked.defaults.extensions.block.length
+        mathCore.configure({ math: true })
+
+        expect(marked.defaults.extensions.block.length).toBe(blockExtensions)
+        expect(marked('> [!EXAMPLE]\n> $x$')).toContain('<div class="alert example">')
+
+        core().configure({})
+        expect(marked('> [!EXAMPLE]\n> $x$')).toBe('<blockquote>\n<p>[!EXAMPLE]\n$x$</p>\n</blockquote>\n')
+    })
+})
@@ -1,9 +1,41 @@
 import fs from 'fs'
+import { marked } from 'marked'
 import plugin from '../../../plugin/awesoMD/plugin'
 const beautify = require('js-beautify').html
 
 const mdPlugin = plugin()
 
+// renders markdown with the alerts of the given plugin instance
+const renderAlerts = (alertPlugin, markdown) => {
+    alertPlugin.configure({})
+    return marked(markdown)
+}
+
+// answers the XMLHttpRequests with the files keyed by their URL, which are their text or { text, etag },
+// and returns the list of the requests, every status is the given one if there is one
+const mockFiles = (files, { status } = {}) => {
+    const requests = []
+    jest.spyOn(window, 'XMLHttpRequest').mockImplementation(function () {
+        this.open = (method, url) => {
+            this.url = url
+            this.request = { method, url, headers: {} }
+            requests.push(this.request)
+        }
+        this.setRequestHeader = (name, value) => {
+            this.request.headers[name] = value
+        }
+        this.getResponseHeader = (name) => (name === 'ETag' && files[this.url]?.etag) || null
+        this.send = () => {
+            const file = files[this.url]
+            this.readyState = 4
+            this.status = status ?? (this.url in files ? 200 : 404)
+            this.responseText = (typeof file === 'object' ? file.text : file) || ''
+            this.onreadystatechange()
+        }
+    })
+    return requests
+}
+
 afterEach(() => {
     jest.restoreAllMocks()
 })
@@ -222,19 +254,56 @@ some content
 })
 
 describe('slidify', () => {
-    it('should return error message when data-separator is provided with data-separator-by-heading', () => {
-        const options = {
-            separateByHeading: true,
-            hasDataSeparator: true,
-        }
-        const expectedMarkdownSection =
-            '<section  data-markdown>' +
-            'Please do not specify "data-markdown" when "data-separator-by-heading" is used.' +
-            '</section>'
+    it('should separate the slides by heading together with a custom separator', () => {
+        const markdown = '# First\n\n# Second\n***\n## Third\n\n---\nno heading'
+        const markdownSections = mdPlugin.slidify(markdown, { separateByHeading: true, separator: '^\\*\\*\\*$' })
 
-        const markdownContent = fs.readFileSync('tests/unit/testFiles/noSlideSeparator.md', 'utf-8')
-        const returnedMarkdownSection = mdPlugin.slidify(markdownContent, { ...options })
-        expect(returnedMarkdownSection).toEqual(expectedMarkdownSection)
+        expect(markdownSections.match(/<script type="text\/template">[\s\S]*?<\/script>/g)).toEqual([
+            '<script type="text/template"># First\n</script>',
+            '<script type="text/template"># Second\n</script>',
+            '<script type="text/template">\n## Third\n\n---\nno heading</script>',
+        ])
+    })
+})
+
+describe('separate by heading levels', () => {
+    const markdown = `# Deck
+## Agenda
+#### Today
+\`\`\`markdown
+# Not a slide
+\`\`\`
+
+## Pricing
+### Discounts
+### Partners
+## Questions`
+
+    it('should start horizontal and vertical slides at the configured heading levels', () => {
+        const slides = mdPlugin.splitSlides(markdown, { separateByHeading: 'h1,h2', separateVerticalByHeading: 'h3' })
+
+        expect(
+            slides.map((slide) =>
+                slide[0] instanceof Array
+                    ? slide.map(([content]) => mdPlugin.getSlideTitle(content).title)
+                    : mdPlugin.getSlideTitle(slide[0]).title
+            )
+        ).toEqual(['Deck', 'Agenda', ['Pricing', 'Discounts', 'Partners'], 'Questions'])
+        expect(slides[1][0]).toContain('#### Today\n```markdown\n# Not a slide\n```')
+    })
+
+    it('should report unknown heading levels', () => {
+        const diagnostics = []
+        mdPlugin.splitSlides(markdown, { separateByHeading: 'h1,h7', diagnostics })
+
+        expect(diagnostics).toEqual([
+            {
+                level: 'warning',
+                message: 'Unknown heading level "h7" to separate slides by, use h1 to h6.',
+                file: undefined,
+                line: undefined,
+            },
+        ])
     })
 })
 
@@ -261,133 +330,1068 @@ some content
     })
 })
 
-describe('renderMarkdownAlerts', () => {
-    const markdownAlerts = `> [!CAUTION]
-> Advises about risks or negative outcomes of certain actions.
-
-> [!CAUTION]
-> Advises about risks or negative outcomes of certain actions.
-> an other line
-
->    [!CAUTION]
-> Advises about risks or negative outcomes of certain actions.
-
-> [!something]
-> Advises about risks or negative outcomes of certain actions.
-
-> [!CAUTION]
-
-> Advises about risks or negative outcomes of certain actions.
-
->> [!CAUTION]
->> Advises about risks or negative outcomes of certain actions.
-
-> [!CAUTION] Advises about risks or negative outcomes of certain actions.
-
-> [!CAUTION]
-        > Advises about risks or negative outcomes of certain actions.`
-
-    const expectedRenderedMarkdowAlerts = `
-<div class="alert caution">
-    <div class="alert-title"><svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16">
-            <path d="M4.47.22A.749.749 0 0 1 5 0h6c.199 0 .389.079.53.22l4.25 4.25c.141.14.22.331.22.53v6a.749.749 0 0 1-.22.53l-4.25 4.25A.749.749 0 0 1 11 16H5a.749.749 0 0 1-.53-.22L.22 11.53A.749.749 0 0 1 0 11V5c0-.199.079-.389.22-.53Zm.84 1.28L1.5 5.31v5.38l3.81 3.81h5.38l3.81-3.81V5.31L10.69 1.5ZM8 4a.75.75 0 0 1 .75.75v3.5a.75.75 0 0 1-1.5 0v-3.5A.75.75 0 0 1 8 4Zm0 8a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z"></path>
-        </svg> Caution</div>
-    <blockquote>Advises about risks or negative outcomes of certain actions.</blockquote>
-</div>
-
-<div class="alert caution">
-    <div class="alert-title"><svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16">
-            <path d="M4.47.22A.749.749 0 0 1 5 0h6c.199 0 .389.079.53.22l4.25 4.25c.141.14.22.331.22.53v6a.749.749 0 0 1-.22.53l-4.25 4.25A.749.749 0 0 1 11 16H5a.749.749 0 0 1-.53-.22L.22 11.53A.749.749 0 0 1 0 11V5c0-.199.079-.389.22-.53Zm.84 1.28L1.5 5.31v5.38l3.81 3.81h5.38l3.81-3.81V5.31L10.69 1.5ZM8 4a.75.75 0 0 1 .75.75v3.5a.75.75 0 0 1-1.5 0v-3.5A.75.75 0 0 1 8 4Zm0 8a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z"></path>
-        </svg> Caution</div>
-    <blockquote>Advises about risks or negative outcomes of certain actions.</blockquote>
-    <blockquote>an other line</blockquote>
-</div>
-
-<div class="alert caution">
-    <div class="alert-title"><svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16">
-            <path d="M4.47.22A.749.749 0 0 1 5 0h6c.199 0 .389.079.53.22l4.25 4.25c.141.14.22.331.22.53v6a.749.749 0 0 1-.22.53l-4.25 4.25A.749.749 0 0 1 11 16H5a.749.749 0 0 1-.53-.22L.22 11.53A.749.749 0 0 1 0 11V5c0-.199.079-.389.22-.53Zm.84 1.28L1.5 5.31v5.38l3.81 3.81h5.38l3.81-3.81V5.31L10.69 1.5ZM8 4a.75.75 0 0 1 .75.75v3.5a.75.75 0 0 1-1.5 0v-3.5A.75.75 0 0 1 8 4Zm0 8a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z"></path>
-        </svg> Caution</div>
-    <blockquote>Advises about risks or negative outcomes of certain actions.</blockquote>
-</div>
-
-<div class="alert">
-    <blockquote>[!something]</blockquote>
-    <blockquote>Advises about risks or negative outcomes of certain actions.</blockquote>
-</div>
-
-<div class="alert">
-    <blockquote>
-        <p>[!CAUTION]</p>
-    </blockquote>
-</div>
-<div class="alert">
-    <blockquote>
-        <p>Advises about risks or negative outcomes of certain actions.</p>
-    </blockquote>
-</div>
-
-<div class="alert" style="--padding-top: 0px; --padding-bottom: 0px;">
-    <blockquote style="padding-top: 0px; padding-bottom: 0px; border: 0px solid; border-left-width: 6px;">
-        <blockquote>
-            <p>[!CAUTION]<br>Advises about risks or negative outcomes of certain actions.</p>
-        </blockquote>
-    </blockquote>
-</div>
-
-<div class="alert">
-    <blockquote>
-        <p>[!CAUTION] Advises about risks or negative outcomes of certain actions.</p>
-    </blockquote>
-</div>
-
-<div class="alert caution">
-    <div class="alert-title"><svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16">
-            <path d="M4.47.22A.749.749 0 0 1 5 0h6c.199 0 .389.079.53.22l4.25 4.25c.141.14.22.331.22.53v6a.749.749 0 0 1-.22.53l-4.25 4.25A.749.749 0 0 1 11 16H5a.749.749 0 0 1-.53-.22L.22 11.53A.749.749 0 0 1 0 11V5c0-.199.079-.389.22-.53Zm.84 1.28L1.5 5.31v5.38l3.81 3.81h5.38l3.81-3.81V5.31L10.69 1.5ZM8 4a.75.75 0 0 1 .75.75v3.5a.75.75 0 0 1-1.5 0v-3.5A.75.75 0 0 1 8 4Zm0 8a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z"></path>
-        </svg> Caution</div>
-    <blockquote>&gt; Advises about risks or negative outcomes of certain actions.</blockquote>
-</div>`
-
-    it('should render the markdown alerts', () => {
-        const returnedRenderedMarkdownAlerts = mdPlugin.renderMarkdownAlerts(markdownAlerts)
-        expect(beautify(returnedRenderedMarkdownAlerts)).toBe(beautify(expectedRenderedMarkdowAlerts))
+describe('getAlertExtension', () => {
+    const cautionIcon =
+        '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16"><path d="M4.47.22A.749.749 0 0 1 5 0h6c.199 0 .389.079.53.22l4.25 4.25c.141.14.22.331.22.53v6a.749.749 0 0 1-.22.53l-4.25 4.25A.749.749 0 0 1 11 16H5a.749.749 0 0 1-.53-.22L.22 11.53A.749.749 0 0 1 0 11V5c0-.199.079-.389.22-.53Zm.84 1.28L1.5 5.31v5.38l3.81 3.81h5.38l3.81-3.81V5.31L10.69 1.5ZM8 4a.75.75 0 0 1 .75.75v3.5a.75.75 0 0 1-1.5 0v-3.5A.75.75 0 0 1 8 4Zm0 8a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z"/></svg>'
+
+    it.each([
+        [
+            '> [!CAUTION]\n> Advises about risks\n> an other line',
+            `<div class="alert caution"><div class="alert-title">${cautionIcon} Caution</div>
+<div class="alert-content"><p>Advises about risks
+an other line</p></div></div>`,
+        ],
+        [
+            '>    [!CAUTION]\n> Advises about risks',
+            `<div class="alert caution"><div class="alert-title">${cautionIcon} Caution</div>
+<div class="alert-content"><p>Advises about risks</p></div></div>`,
+        ],
+        [
+            '> [!CAUTION] Advises about **risks**',
+            `<div class="alert caution"><div class="alert-title">${cautionIcon} Advises about <strong>risks</strong></div></div>`,
+        ],
+        ['> [!something]\n> Advises about risks', '<blockquote><p>[!something]\nAdvises about risks</p></blockquote>'],
+        [
+            '>> [!CAUTION]\n>> Advises about risks',
+            `<blockquote><div class="alert caution"><div class="alert-title">${cautionIcon} Caution</div>
+<div class="alert-content"><p>Advises about risks</p></div></div></blockquote>`,
+        ],
+        [
+            '```\n> [!CAUTION]\n> Advises about risks\n```',
+            '<pre><code   class="">&gt; [!CAUTION]\n&gt; Advises about risks</code></pre>',
+        ],
+    ])('should render "%s" as alert', (markdown, expectedHtml) => {
+        expect(beautify(renderAlerts(mdPlugin, markdown))).toBe(beautify(expectedHtml))
+    })
+
+    it('should render markdown inside of alerts', () => {
+        const renderedAlert = renderAlerts(
+            mdPlugin,
+            '> [!NOTE]\n> - a [link](https://example.com)\n>\n> ```js\n> let a = 1\n> ```\n>\n> > [!TIP]\n> > nested'
+        )
+        expect(renderedAlert).toContain('<ul>\n<li>a <a href="https://example.com">link</a></li>\n</ul>')
+        expect(renderedAlert).toContain('let a = 1')
+        expect(renderedAlert).toContain('<div class="alert tip">')
+    })
+
+    it('should render alerts inside of lists', () => {
+        expect(renderAlerts(mdPlugin, '- item\n  > [!WARNING]\n  > in a list')).toContain(
+            '<li>item<div class="alert warning">'
+        )
+    })
+
+    it.each([
+        [
+            '> [!WARNING] Breaking change in v3\n> details',
+            '<div class="alert warning">',
+            ' Breaking change in v3</div>',
+        ],
+        ['> [!TIP]+ Open tip\n> details', '<details class="alert tip" open>', ' Open tip</summary>'],
+        ['> [!TIP]-\n> details', '<details class="alert tip">', ' Tip</summary><span class="fragment alert-fold">'],
+    ])('should render the title and folding of "%s"', (markdownAlert, expectedAlert, expectedTitle) => {
+        const renderedAlert = renderAlerts(mdPlugin, markdownAlert)
+        expect(renderedAlert).toContain(expectedAlert)
+        expect(renderedAlert).toContain(expectedTitle)
+        expect(renderedAlert).toContain('<div class="alert-content"><p>details</p>')
+    })
+
+    it('should open collapsed alerts when their fragment is shown', () => {
+        document.body.innerHTML = renderAlerts(mdPlugin, '> [!TIP]-\n> details')
+        const fragment = document.querySelector('.alert-fold')
+
+        mdPlugin.toggleFoldedAlert({ fragments: [fragment] }, true)
+        expect(document.querySelector('details').open).toBe(true)
+
+        mdPlugin.toggleFoldedAlert({ fragment }, false)
+        expect(document.querySelector('details').open).toBe(false)
+        document.body.innerHTML = ''
+    })
+})
+
+describe('resolveTemplateUrl', () => {
+    it.each([
+        [{}, new URL(`${new URL(import.meta.url).origin}/templates/cover-template.html`, document.baseURI).href],
+        [{ templates: 'https://example.com/deck/templates' }, 'https://example.com/deck/templates/cover-template.html'],
+        [{ templates: 'templates/' }, 'http://localhost/templates/cover-template.html'],
+        [
+            { templates: '../shared', markdownUrl: 'decks/intro/deck.md' },
+            'http://localhost/decks/shared/cover-template.html',
+        ],
+        [
+            { templates: { cover: 'layouts/cover.html' }, markdownUrl: 'decks/deck.md' },
+            'http://localhost/decks/layouts/cover.html',
+        ],
+        [{ templates: (name) => `/themes/${name}.html` }, 'http://localhost/themes/cover.html'],
+    ])('should resolve the template url from the template source %#', (options, expectedUrl) => {
+        expect(mdPlugin.resolveTemplateUrl('cover', options)).toEqual(expectedUrl)
+    })
+})
+
+describe('loadTemplates', () => {
+    const templates = {
+        'http://localhost/templates/cover-template.html': '# {{title}} by {{metadata.presenter}}',
+        'http://localhost/templates/title-content-template.html': '## {{title}}\n{{content}}',
+    }
+    const markdown = `---
+presenter: presenter name
+slide: title-content
+---
+# Cover Slide ::slide:cover
+
+# First Slide
+first content
+
+# Second Slide
+second content
+`
+    let requests
+
+    beforeEach(() => {
+        requests = mockFiles(templates)
+    })
+
+    it('should fetch every template once and render the slides from the cache', async () => {
+        const options = { separateByHeading: true, templates: 'templates' }
+        await mdPlugin.loadTemplates(markdown, options)
+        await mdPlugin.loadTemplates(markdown, options)
+        const markdownSections = mdPlugin.slidify(markdown, options)
+
+        expect(requests.map(({ url }) => url).sort()).toEqual(Object.keys(templates).sort())
+        expect(markdownSections).toContain('# Cover Slide by presenter name')
+        expect(markdownSections).toContain('## First Slide\nfirst content')
+        expect(markdownSections).toContain('## Second Slide\nsecond content')
+    })
+
+    it('should render a message for templates which could not be fetched', async () => {
+        const options = { templates: 'missing' }
+        const slide = '```yaml\nslide: cover\n```\n# Cover Slide'
+        jest.spyOn(console, 'error').mockImplementation(() => {})
+        await mdPlugin.loadTemplates(slide, options)
+
+        expect(mdPlugin.slidify(slide, options)).toContain('Template for slide "cover" not found.')
+    })
+
+    it('should only accept responses without a status that have a body', async () => {
+        const files = { 'http://localhost/local/cover-template.html': '# {{title}} from a file' }
+        // file:// responses and failed requests have no status
+        mockFiles(files, { status: 0 })
+        jest.spyOn(console, 'error').mockImplementation(() => {})
+        const slide = '```yaml\nslide: cover\n```\n# Cover Slide'
+
+        await mdPlugin.loadTemplates(slide, { templates: 'local' })
+        await mdPlugin.loadTemplates(slide, { templates: 'blocked' })
+
+        expect(mdPlugin.slidify(slide, { templates: 'local' })).toContain('# Cover Slide from a file')
+        expect(mdPlugin.slidify(slide, { templates: 'blocked' })).toContain('Template for slide "cover" not found.')
+    })
+})
+
+describe('getInlineTemplate', () => {
+    afterEach(() => {
+        document.body.innerHTML = ''
+    })
+
+    it('should return the template defined in the page', () => {
+        document.body.innerHTML = '<template data-awesomd-template="cover"># {{title}}</template>'
+        expect(mdPlugin.getInlineTemplate('cover', {})).toEqual('# {{title}}')
+        expect(mdPlugin.getInlineTemplate('section', {})).toBeUndefined()
+    })
+
+    it.each([
+        [{ cover: '# {{title}}' }, '# {{title}}'],
+        [{ cover: '<div class="cover">\n</div>' }, '<div class="cover">\n</div>'],
+        [{ cover: 'layouts/cover.html' }, undefined],
+        ['templates/', undefined],
+    ])('should return the template defined in the config %#', (templates, expectedTemplate) => {
+        expect(mdPlugin.getInlineTemplate('cover', { templates })).toEqual(expectedTemplate)
+    })
+
+    it('should render inline templates without fetching them', async () => {
+        document.body.innerHTML = '<template data-awesomd-template="cover"># {{title}} ({{metadata.footer}})</template>'
+        const spyLoadTemplate = jest.spyOn(mdPlugin, 'loadTemplate')
+        const slide = '```yaml\nslide: cover\nfooter: footer content\n```\n# Cover Slide'
+        await mdPlugin.loadTemplates(slide, {})
+
+        expect(spyLoadTemplate).not.toHaveBeenCalled()
+        expect(mdPlugin.slidify(slide, {})).toContain('# Cover Slide (footer content)')
+    })
+})
+
+describe('renderTemplate', () => {
+    const templates = {
+        base: '{{$header}}# {{title}}{{/header}}\n{{$body}}{{content}}{{/body}}\n{{> footer}}',
+        footer: '<footer>{{metadata.footer}}</footer>',
+        section: '{{< base}}{{$header}}## {{title}}{{/header}}{{/base}}',
+        chapter: '{{< section}}{{$body}}Chapter: {{content}}{{/body}}{{/section}}',
+        talk: '{{!schema\nfooter:\n  type: string\n}}\n{{< base}}{{$header}}## Talk: {{title}}{{/header}}{{/base}}',
+        broken: '# {{title}}\n{{#open}}',
+    }
+    const options = { templates, metadata: { footer: 'footer content' } }
+
+    it.each([
+        ['base', '# Title\nsome content\nfooter content'],
+        ['section', '## Title\nsome content\nfooter content'],
+        ['chapter', '## Title\nChapter: some content\nfooter content'],
+        ['talk', '## Talk: Title\nsome content\nfooter content'],
+    ])('should render the template "%s" with its layout and partials', async (slide, expectedContent) => {
+        const slideOptions = { ...options, metadata: { ...options.metadata, slide } }
+        await mdPlugin.loadTemplates('```yaml\nslide: ' + slide + '\n```\n# Title', { templates })
+
+        expect(mdPlugin.renderTemplate('# Title\nsome content', slideOptions)).toEqual(expectedContent)
+    })
+
+    it('should resolve partials of templates defined in the page', () => {
+        document.body.innerHTML =
+            '<template data-awesomd-template="cover"># {{title}}\n{{> footer}}</template>' +
+            '<template data-awesomd-template="footer">{{metadata.footer}}</template>'
+        const slideOptions = { metadata: { slide: 'cover', footer: 'footer content' } }
+
+        expect(mdPlugin.renderTemplate('# Title', slideOptions)).toEqual('# Title\nfooter content')
+        document.body.innerHTML = ''
+    })
+
+    it('should render an error instead of a template that cannot be rendered', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {})
+        const diagnostics = []
+        const slideOptions = { ...options, metadata: { slide: 'broken' }, slideNumber: '3', diagnostics }
+
+        expect(mdPlugin.renderTemplate('# Title', slideOptions)).toContain(
+            '<p class="awesomd-error-title">Slide 3 could not be rendered</p>' +
+                '<ul><li>Template for slide &quot;broken&quot; could not be rendered: Unclosed section &quot;open&quot; at 21</li></ul>'
+        )
+        expect(diagnostics.map(({ message }) => message)).toEqual([
+            'Template for slide "broken" could not be rendered: Unclosed section "open" at 21',
+        ])
+    })
+})
+
+describe('renderMetadataMarkdown', () => {
+    const metadata = {
+        slide: 'cover',
+        footer: '**Confidential** - [site](https://x)',
+        presenter: '_presenter name_',
+    }
+
+    it.each([
+        [{}, {}, metadata],
+        [
+            { markdownMetadata: ['footer'] },
+            {},
+            {
+                ...metadata,
+                markdownMetadata: ['footer'],
+                footer: '<strong>Confidential</strong> - <a href="https://x">site</a>',
+            },
+        ],
+        [
+            { markdownMetadata: 'footer, presenter' },
+            {},
+            {
+                ...metadata,
+                markdownMetadata: 'footer, presenter',
+                footer: '<strong>Confidential</strong> - <a href="https://x">site</a>',
+                presenter: '<em>presenter name</em>',
+            },
+        ],
+        [
+            {},
+            { markdownMetadata: true },
+            {
+                ...metadata,
+                footer: '<strong>Confidential</strong> - <a href="https://x">site</a>',
+                presenter: '<em>presenter name</em>',
+            },
+        ],
+        [{ markdownMetadata: false }, { markdownMetadata: true }, { ...metadata, markdownMetadata: false }],
+    ])('should render the markdown of the selected metadata values %#', (slideMetadata, options, expectedMetadata) => {
+        expect(mdPlugin.renderMetadataMarkdown({ ...metadata, ...slideMetadata }, options)).toEqual(expectedMetadata)
+    })
+})
+
+describe('validateMetadata', () => {
+    const templates = {
+        cover:
+            '{{!schema\n' +
+            'presenter:\n' +
+            '  type: string\n' +
+            '  required: true\n' +
+            'theme:\n' +
+            '  enum: [dark, light]\n' +
+            '  default: light\n' +
+            'duration:\n' +
+            '  type: number\n' +
+            '}}\n' +
+            '# {{title}}',
+    }
+
+    it.each([
+        ['# Cover ::slide:cover ::presenter:someone', { slide: 'cover', presenter: 'someone', theme: 'light' }, []],
+        [
+            '# Cover ::slide:cover ::presenter:someone ::theme:dark ::duration:30',
+            { slide: 'cover', presenter: 'someone', theme: 'dark', duration: 30 },
+            [],
+        ],
+        ['# Cover ::slide:cover', { slide: 'cover', theme: 'light' }, ['missing required metadata "presenter"']],
+        [
+            '# Cover ::slide:cover ::presenter:someone ::theme:blue ::duration:long',
+            { slide: 'cover', presenter: 'someone', theme: 'blue', duration: 'long' },
+            ['metadata "theme" must be one of dark, light but is "blue"', 'metadata "duration" must be of type number'],
+        ],
+        [
+            '# Cover ::slide:cover ::presenter:someone ::them:dark',
+            { slide: 'cover', presenter: 'someone', theme: 'light', them: 'dark' },
+            ['unknown metadata "them"'],
+        ],
+    ])(
+        'should validate the metadata of "%s" against the template schema',
+        (slide, expectedMetadata, expectedErrors) => {
+            const [, options] = mdPlugin.separateInlineMetadataAndMarkdown(slide, { templates })
+            expect(options.metadata).toEqual(expectedMetadata)
+            expect(options.errors).toEqual(expectedErrors)
+        }
+    )
+
+    it('should render an error slide naming the slide and the invalid metadata', () => {
+        const markdown = '# First Slide\n\n---\n# Cover ::slide:cover ::presenter:someone ::them:dark'
+        const markdownSections = mdPlugin.slidify(markdown, { templates })
+
+        expect(markdownSections).toContain(
+            '<div class="awesomd-error"><p class="awesomd-error-title">Slide 2 has invalid metadata</p>' +
+                '<ul><li>unknown metadata &quot;them&quot;</li></ul></div>'
+        )
+    })
+
+    it('should warn about misspelled plugin metadata of slides without a schema', () => {
+        const diagnostics = []
+        const markdownSections = mdPlugin.slidify('# A ::slid:cover\n\n---\n# B ::Audience:internal ::mood:calm', {
+            diagnostics,
+        })
+
+        expect(markdownSections).toMatch(
+            /^<section  data-source-lines="1-1" data-markdown><script type="text\/template"># A/
+        )
+        expect(diagnostics).toEqual([
+            { level: 'warning', message: 'unknown metadata "slid", did you mean "slide"?', file: undefined, line: 1 },
+            {
+                level: 'warning',
+                message: 'unknown metadata "Audience", did you mean "audience"?',
+                file: undefined,
+                line: 4,
+            },
+        ])
+    })
+
+    it('should render an error slide for invalid YAML metadata', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {})
+        const markdownSections = mdPlugin.slidify('```yaml\nslide: [cover\n```\n# Cover', {})
+
+        expect(markdownSections).toContain('Slide 1 has invalid metadata')
+        expect(markdownSections).toContain('invalid YAML metadata')
+    })
+})
+
+describe('createTableOfContents', () => {
+    const markdown = `# Cover ::toc:false
+
+---
+# Agenda ::slide:toc ::tocHighlight:true
+
+---
+# Introduction ::slide:section
+
+---
+## Details
+
+---
+# Backup ::slide:section ::toc:false
+
+---
+# Summary ::slide:section
+
+---
+[[toc]]`
+
+    beforeEach(() => {
+        // the "section" and "toc" slides have no templates, only their ids and content are checked
+        jest.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    it('should list the section slides and link them by id', () => {
+        const markdownSections = mdPlugin.slidify(markdown, {})
+
+        expect(markdownSections).toContain(
+            '<section class="section" id="toc-introduction" data-source-lines="7-7" data-markdown>'
+        )
+        expect(markdownSections).toContain(
+            '<section class="section" id="toc-summary" data-source-lines="16-16" data-markdown>'
+        )
+        expect(markdownSections).toContain(
+            '# Agenda\n\n' +
+                '- [Introduction](#/toc-introduction) <!-- .element: class="current" -->\n' +
+                '- [Summary](#/toc-summary)\n'
+        )
+        expect(markdownSections).toContain('- [Introduction](#/toc-introduction)\n- [Summary](#/toc-summary)</script>')
+        expect(markdownSections).not.toContain('#/toc-backup')
+    })
+
+    it('should only give the slides with an id metadata their id without a table of contents', () => {
+        const container = document.createElement('div')
+        container.innerHTML = mdPlugin.slidify(
+            '---\npresenter: Jane\n---\n# Intro\n\n---\n```yaml\nid: pricing\n```\n# Pricing',
+            {}
+        )
+
+        expect([...container.querySelectorAll('section')].map((section) => [section.id, section.className])).toEqual([
+            ['', ''],
+            ['pricing', ''],
+        ])
+    })
+
+    it('should not generate the ids used by other markdown sections of the deck', () => {
+        const usedIds = new Set(['toc-agenda'])
+        const first = mdPlugin.slidify('# Intro\n\n---\n[[toc]]', { usedIds })
+        const second = mdPlugin.slidify('# Intro\n\n---\n# Agenda ::slide:toc', { usedIds })
+
+        expect(first).toContain('<section  id="toc-intro"')
+        expect(second).toContain('<section  id="toc-intro-2"')
+        expect(second).toContain('- [Intro](#/toc-intro-2)')
+        expect([...usedIds]).toEqual(['toc-agenda', 'toc-intro', 'toc-intro-2'])
+    })
+
+    it('should list the slides with top-level headings if there are no section slides', () => {
+        const tableOfContents = mdPlugin.createTableOfContents(
+            mdPlugin.splitSlides('# First\n\n---\n## Sub\n\n---\n# First\n\n---\n[[toc]]', {})
+        )
+
+        expect(tableOfContents).toEqual([
+            { title: 'First', id: 'toc-first', index: 0 },
+            { title: 'First', id: 'toc-first-2', index: 2 },
+        ])
+    })
+})
+
+describe('addSlidePositions', () => {
+    it('should add the position in the deck to every slide', () => {
+        const sectionStack = mdPlugin.splitSlides(
+            '# Cover\n\n---\n# Chapter ::slide:section\n\n---\n# First\n\n----\n# Second\n\n---\n# Last',
+            { verticalSeparator: '\n----\n' }
+        )
+        mdPlugin.addSlidePositions(sectionStack)
+
+        expect(mdPlugin.flattenSlides(sectionStack).map(([, slideOptions]) => slideOptions.position)).toEqual([
+            { number: 1, total: 5, h: 1, v: 1, section: undefined, previous: undefined, next: 'Chapter' },
+            { number: 2, total: 5, h: 2, v: 1, section: 'Chapter', previous: 'Cover', next: 'First' },
+            { number: 3, total: 5, h: 3, v: 1, section: 'Chapter', previous: 'Chapter', next: 'Second' },
+            { number: 4, total: 5, h: 3, v: 2, section: 'Chapter', previous: 'First', next: 'Last' },
+            { number: 5, total: 5, h: 4, v: 1, section: 'Chapter', previous: 'Second', next: undefined },
+        ])
+    })
+
+    it('should pass the position to the template', () => {
+        const templates = {
+            'title-content': '## {{title}}\n{{position.number}} / {{position.total}} {{position.section}}',
+            section: '# {{title}}',
+        }
+        const markdown = '---\nslide: title-content\n---\n# Chapter ::slide:section\n\n---\n# First'
+
+        expect(mdPlugin.slidify(markdown, { templates })).toContain('## First\n2 / 2 Chapter')
+    })
+})
+
+describe('resolveIncludes', () => {
+    const files = {
+        'http://localhost/decks/modules/intro.md':
+            '---\nfooter: intro footer\n---\n# Intro\n\n---\n!include ./common.md',
+        'http://localhost/decks/modules/common.md': '# Common',
+        'http://localhost/decks/modules/loop.md': '# Loop\n\n!include ../modules/loop.md',
+        'http://localhost/decks/src/server.js':
+            "import http from 'http'\n\n// #region listen\nconst server = http.createServer()\n// #region port\nserver.listen(8080)\n// #endregion\n// #endregion\n",
+        'http://localhost/decks/src/greeting.txt': 'Hello {{ metadata.name }}\nHi \\{{ metadata.name }}',
+    }
+
+    beforeEach(() => {
+        mockFiles(files)
+        jest.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    it('should include the files relative to the including file with their front matter as scoped defaults', async () => {
+        const markdown = `---
+footer: deck footer
+---
+# Cover
+
+---
+!include modules/intro.md
+
+---
+# Outro
+
+\`\`\`md
+!include modules/intro.md
+\`\`\``
+        const resolvedMarkdown = await mdPlugin.resolveIncludes(markdown, 'decks/deck.md')
+        const slides = mdPlugin.flattenSlides(mdPlugin.splitSlides(resolvedMarkdown, {}))
+
+        expect(slides.map(([content, options]) => [content.trim(), options.metadata.footer])).toEqual([
+            ['# Cover', 'deck footer'],
+            ['# Intro', 'intro footer'],
+            ['# Common', 'intro footer'],
+            ['# Outro\n\n```md\n!include modules/intro.md\n```', 'deck footer'],
+        ])
+    })
+
+    it.each([
+        ['!include modules/missing.md', 'Failed to fetch http://localhost/decks/modules/missing.md. Status: 404'],
+        ['!include modules/loop.md', 'the file is included recursively'],
+    ])('should render an error for "%s"', async (markdown, expectedError) => {
+        const resolvedMarkdown = await mdPlugin.resolveIncludes(markdown, 'decks/deck.md')
+        expect(resolvedMarkdown).toContain(`<li>${expectedError}</li>`)
+    })
+
+    it('should add the source lines of the slides in the included files', async () => {
+        const markdown = '# Cover\ntext\n\n!include modules/intro.md\n# Outro'
+        const container = document.createElement('div')
+        container.innerHTML = await mdPlugin.renderSlides(markdown, {
+            markdownUrl: 'decks/deck.md',
+            separateByHeading: true,
+        })
+
+        expect(
+            [...container.querySelectorAll('section')].map((section) => [
+                section.dataset.sourceFile,
+                section.dataset.sourceLines,
+            ])
+        ).toEqual([
+            ['decks/deck.md', '1-2'],
+            ['decks/modules/intro.md', '4-4'],
+            ['decks/modules/common.md', '1-1'],
+            ['decks/deck.md', '5-5'],
+        ])
+    })
+
+    it('should add the source lines to slides with metadata but without a template or an id', () => {
+        const container = document.createElement('div')
+        container.innerHTML = mdPlugin.slidify('---\nfooter: deck\n---\n# Intro\n\n---\n## Details\ntext', {
+            markdownUrl: 'decks/deck.md',
+        })
+        const section = container.querySelectorAll('section')[1]
+
+        expect(section.className).toBe('')
+        expect(section.dataset.sourceFile).toBe('decks/deck.md')
+        expect(section.dataset.sourceLines).toBe('7-8')
+    })
+
+    it.each([
+        ['lines=3-4 [1|2]', '```js [3: 1|2]\n// #region listen\nconst server = http.createServer()\n```'],
+        ['lines=6-', '```js\nserver.listen(8080)\n// #endregion\n// #endregion\n```'],
+        [
+            'region=listen []',
+            '```js [4: ]\nconst server = http.createServer()\n// #region port\nserver.listen(8080)\n// #endregion\n```',
+        ],
+        ['region=port [2: 1]', '```js [2: 1]\nserver.listen(8080)\n```'],
+    ])('should import the code of the file into a code block with %s', async (params, expectedCode) => {
+        const markdown = `# Server\n\n\`\`\`js file=../src/server.js ${params}\nstale\n\`\`\`\n\n---\n# Next`
+        const resolvedMarkdown = await mdPlugin.resolveIncludes(markdown, 'decks/modules/deck.md')
+        const slides = mdPlugin.flattenSlides(
+            mdPlugin.splitSlides(resolvedMarkdown, { markdownUrl: 'decks/modules/deck.md' })
+        )
+
+        expect(slides.map(([content, options]) => [content.trim(), options.sourceLines])).toEqual([
+            [`# Server\n\n${expectedCode}`, [1, 5]],
+            ['# Next', [8, 8]],
+        ])
+    })
+
+    it('should not replace the metadata placeholders in the imported code', async () => {
+        const markdown = '---\nname: Deck\n---\n# {{ metadata.name }}\n```text file=../src/greeting.txt\n```'
+        const resolvedMarkdown = await mdPlugin.resolveIncludes(markdown, 'decks/modules/deck.md')
+        const [[content]] = mdPlugin.splitSlides(resolvedMarkdown, {})
+
+        expect(content).toBe('# Deck\n```text\nHello {{ metadata.name }}\nHi \\{{ metadata.name }}\n```')
+    })
+
+    it('should keep the code block and report the code that could not be imported', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {})
+        const diagnostics = []
+        const markdown = '# Server\n```js file=../src/server.js region=missing\nstale\n```'
+
+        const resolvedMarkdown = await mdPlugin.resolveIncludes(markdown, 'decks/modules/deck.md', [], { diagnostics })
+
+        expect(resolvedMarkdown).toBe('# Server\n```js\nstale\n```')
+        expect(diagnostics).toEqual([
+            {
+                level: 'error',
+                message: 'Failed to import ../src/server.js: region "missing" not found',
+                file: 'http://localhost/decks/modules/deck.md',
+                line: 2,
+            },
+        ])
+    })
+
+    it('should report the includes that failed with their line', async () => {
+        const diagnostics = []
+        await mdPlugin.resolveIncludes('# Cover\n\n!include modules/missing.md', 'decks/deck.md', [], { diagnostics })
+
+        expect(diagnostics).toEqual([
+            {
+                level: 'error',
+                message:
+                    'Failed to include modules/missing.md: Failed to fetch http://localhost/decks/modules/missing.md. Status: 404',
+                file: 'http://localhost/decks/deck.md',
+                line: 3,
+            },
+        ])
     })
 })
 
-describe('splitSlideContentIntoBlocks', () => {
-    const markdownContent = `> [!CAUTION]
-> Advises about risks or negative outcomes of certain actions.
+describe('speaker notes', () => {
+    it('should render the notes metadata and all notes sections of a slide', () => {
+        const markdown = '```yaml\nnotes: |\n  From **metadata**\n```\n# Slide\nNote: first\n\nNote: second'
+
+        expect(mdPlugin.slidify(markdown, {})).toContain(
+            '# Slide\n<aside class="notes"><p>From <strong>metadata</strong></p>\n<p>first</p>\n<p>second</p>\n</aside>'
+        )
+    })
 
-\`\`\`js
-console.log('hello')
-console.log('world')
+    it('should not pass the notes and the id of a slide on to the following slides', () => {
+        const markdown = '---\nfooter: deck\n---\n```yaml\nid: first\nnotes: first notes\n```\n# First\n--\n# Second'
+        const slides = mdPlugin.flattenSlides(mdPlugin.splitSlides(markdown, { verticalSeparator: '^--$' }))
+
+        expect(slides.map(([, options]) => options.metadata)).toEqual([
+            { footer: 'deck', id: 'first', notes: 'first notes' },
+            { footer: 'deck' },
+        ])
+    })
+
+    it('should add the notes of the notes file to the slides with the same id', async () => {
+        const files = {
+            'http://localhost/decks/deck.notes.md':
+                'ignored\n# pricing\nMention the discount.\n\n```sh\n# not a slide\n```\n# intro\nWelcome everyone.',
+        }
+        mockFiles(files)
+        const markdown = '# Intro ::id:intro\n\n---\n```yaml\nid: pricing\n```\n# Pricing\nNote: from the slide'
+
+        const html = await mdPlugin.renderSlides(markdown, { markdownUrl: 'decks/deck.md', notesFile: true })
+
+        expect(html).toContain(' id="intro"')
+        expect(html).toContain('<aside class="notes"><p>Welcome everyone.</p>\n</aside>')
+        expect(html).toContain(' id="pricing"')
+        expect(html).toContain(
+            '<aside class="notes"><p>from the slide</p>\n<p>Mention the discount.</p>\n<pre><code   class="sh"># not a slide'
+        )
+    })
+})
+
+describe('interpolateMetadata', () => {
+    const metadata = {
+        event: 'DevConf',
+        version: 3,
+        speakers: ['first', 'second'],
+        venue: { city: 'Berlin' },
+    }
+
+    it.each([
+        ['Welcome to {{ metadata.event }}', 'Welcome to DevConf'],
+        ['`npm i awesomd@{{metadata.version}}`', '`npm i awesomd@3`'],
+        ['{{ metadata.speakers }} in {{ metadata.venue.city }}', 'first, second in Berlin'],
+        ['{{ metadata.missing }}', '{{ metadata.missing }}'],
+        ['```\n\\{{ metadata.event }} {{ title }}\n```', '```\n{{ metadata.event }} {{ title }}\n```'],
+    ])('should interpolate "%s"', (content, expectedContent) => {
+        expect(mdPlugin.interpolateMetadata(content, metadata)).toEqual(expectedContent)
+    })
+
+    it('should interpolate slides without template', () => {
+        const markdown = '---\nevent: DevConf\n---\n# Welcome to {{ metadata.event }}'
+        expect(mdPlugin.slidify(markdown, {})).toContain('# Welcome to DevConf</script>')
+    })
+})
+
+describe('isSlideVisible', () => {
+    const markdown = `---
+showPricing: false
+---
+# Public
+
+---
+# Hidden ::hidden:true
+
+---
+\`\`\`yaml
+audience: [internal, partner]
 \`\`\`
+# Internal
 
-some content
+---
+\`\`\`yaml
+if: metadata.showPricing
+\`\`\`
+# Pricing
+
+---
+\`\`\`yaml
+if: "!profile.internal"
+\`\`\`
+# Customers only`
+
+    it.each([
+        [undefined, ['# Public', '# Customers only']],
+        ['partner', ['# Public', '# Internal', '# Customers only']],
+        ['internal', ['# Public', '# Internal']],
+        [
+            ['customer', 'internal'],
+            ['# Public', '# Internal'],
+        ],
+    ])('should only keep the slides for the profile %s', (profile, expectedSlides) => {
+        const slides = mdPlugin.flattenSlides(mdPlugin.splitSlides(markdown, { profile }))
+        expect(slides.map(([content]) => content.trim())).toEqual(expectedSlides)
+    })
+
+    it('should take the profile from the query parameter', () => {
+        window.history.pushState({}, '', '/?profile=internal')
+        const markdownSections = mdPlugin.slidify(markdown, {})
+        window.history.pushState({}, '', '/')
+
+        expect(markdownSections).toContain('# Internal')
+        expect(markdownSections).not.toContain('# Customers only')
+    })
+
+    it.each([
+        [undefined, ['# Public', '# Customers only']],
+        ['internal', ['# Public']],
+    ])('should read negated conditions of inline metadata for the profile %s', (profile, expectedSlides) => {
+        const slides = mdPlugin.splitSlides('# Public\n\n---\n# Customers only ::if:!profile.internal', { profile })
+        expect(slides.map(([content]) => content.trim())).toEqual(expectedSlides)
+    })
+
+    it('should drop vertical stacks without visible slides', () => {
+        const slides = mdPlugin.splitSlides('# First\n\n----\n# Hidden ::hidden:true\n\n---\n# Second', {
+            verticalSeparator: '\n----\n',
+        })
+        expect(slides.map((slide) => (slide[0] instanceof Array ? slide.length : slide[0].trim()))).toEqual([
+            1,
+            '# Second',
+        ])
+    })
+})
+
+describe('vertical stacks', () => {
+    const markdown = `---
+presenter: Deck
+---
+\`\`\`yaml
+event: Launch
+stack:
+  presenter: Jane
+  footer: Pricing
+  attributes:
+    data-background-color: "#1e3a5f"
+\`\`\`
+# Pricing
+--
+\`\`\`yaml
+footer: Discounts
+\`\`\`
+# Discounts
+--
+# Questions
+
+---
+# Next`
+
+    it('should pass the stack metadata of the first slide on to all slides of the stack', () => {
+        const slides = mdPlugin.flattenSlides(mdPlugin.splitSlides(markdown, { verticalSeparator: '^--$' }))
+
+        expect(slides.map(([, options]) => options.metadata)).toEqual([
+            {
+                presenter: 'Jane',
+                footer: 'Pricing',
+                event: 'Launch',
+                stack: { presenter: 'Jane', footer: 'Pricing', attributes: { 'data-background-color': '#1e3a5f' } },
+            },
+            { presenter: 'Jane', footer: 'Discounts' },
+            { presenter: 'Jane', footer: 'Pricing' },
+            { presenter: 'Deck' },
+        ])
+    })
+
+    it('should add the stack attributes to the section of the stack', () => {
+        const markdownSections = mdPlugin.slidify(markdown, { verticalSeparator: '^--$' })
+
+        expect(markdownSections).toMatch(
+            /^<section  data-background-color="#1e3a5f"><section  data-source-lines="4-12"/
+        )
+        expect(markdownSections).toContain('</section></section><section  data-source-lines="22-22"')
+    })
+
+    it('should report stack metadata outside of the first slide of a stack', () => {
+        const diagnostics = []
+        mdPlugin.splitSlides('```yaml\nstack: [a]\n```\n# First\n--\n# Second ::stack:b\n\n---\n# Third ::stack:c', {
+            verticalSeparator: '^--$',
+            diagnostics,
+        })
+
+        expect(diagnostics.map(({ level, message, line }) => [level, message, line])).toEqual([
+            ['error', 'The "stack" metadata must be a map of the metadata of the stack.', 1],
+            ['warning', 'The "stack" metadata only applies to the first slide of a vertical stack.', 6],
+            ['warning', 'The "stack" metadata only applies to the first slide of a vertical stack.', 9],
+        ])
+    })
+})
+
+describe('registerAlert', () => {
+    const icon = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16"></svg>'
+
+    it('should render registered alert types', () => {
+        const alertPlugin = plugin()
+        alertPlugin.registerAlert('EXAMPLE', { icon, title: 'For example', className: 'alert-example tip' })
+
+        expect(beautify(renderAlerts(alertPlugin, '> [!EXAMPLE]\n> an example'))).toBe(
+            beautify(`
+<div class="alert alert-example tip">
+    <div class="alert-title">${icon} For example</div>
+    <div class="alert-content">
+        <p>an example</p>
+    </div>
+</div>`)
+        )
+    })
+
+    it('should render alerts with a fragment marker as fragments', () => {
+        const renderedAlert = renderAlerts(mdPlugin, '> [!TIP]- Answer {+fade-in 2}\n> 42')
+
+        expect(renderedAlert).toContain('<details class="alert tip fragment fade-in" data-fragment-index="2">')
+        expect(renderedAlert).toContain('</svg> Answer</summary>')
+    })
+
+    it('should override built-in alert types and keep their other options', () => {
+        const alertPlugin = plugin()
+        alertPlugin.registerAlert('note', { title: 'Remember' })
+
+        const renderedAlert = renderAlerts(alertPlugin, '> [!NOTE]\n> something')
+        expect(renderedAlert).toContain('<div class="alert note">')
+        expect(renderedAlert).toContain('</svg> Remember</div>')
+        expect(renderAlerts(mdPlugin, '> [!NOTE]\n> something')).toContain('</svg> Note</div>')
+    })
+})
+
+describe('fragments', () => {
+    const convertMarkdown = async (markdown) => {
+        document.body.innerHTML =
+            '<div class="reveal"><div class="slides"><section data-markdown><script type="text/template">' +
+            markdown +
+            '</script></section></div></div>'
+        await plugin().init({
+            getConfig: () => ({ markdown: {} }),
+            getRevealElement: () => document.querySelector('.reveal'),
+            on: () => {},
+        })
+        return document.querySelector('section')
+    }
+
+    afterEach(() => {
+        document.body.innerHTML = ''
+    })
+
+    it('should turn the elements with a fragment marker into fragments', async () => {
+        const section = await convertMarkdown(`# Title {+2}
+
+Text with **bold** {+fade-up}
+
+![image](image.png) {+}
+
+- first {+}
+- second
+
+| a | b |
+|---|---|
+| 1 | 2 {+highlight-red 3} |
+
+> [!NOTE] {+}
+> content
+
+\`code {+}\``)
+
+        expect(section.querySelector('h1').outerHTML).toBe(
+            '<h1 id="title" class="fragment" data-fragment-index="2">Title</h1>'
+        )
+        expect(section.querySelector('p').outerHTML).toBe(
+            '<p class="fragment fade-up">Text with <strong>bold</strong></p>'
+        )
+        expect(section.querySelector('img').className).toBe('fragment')
+        expect([...section.querySelectorAll('li')].map((item) => item.className)).toEqual(['fragment', ''])
+        const row = section.querySelector('tbody tr')
+        expect(row.className).toBe('fragment highlight-red')
+        expect(row.getAttribute('data-fragment-index')).toBe('3')
+        expect(row.textContent.trim()).toBe('1\n2')
+        expect(section.querySelector('.alert').className).toBe('alert note fragment')
+        expect(section.querySelector('.alert-title').textContent).toBe(' Note')
+        expect(section.querySelector('code').textContent).toBe('code {+}')
+    })
+
+    it('should turn the list items of slides with "animate: lists" into fragments', async () => {
+        const section = await convertMarkdown('```yaml\nanimate: lists\n```\n- first\n- second')
+
+        expect(section.getAttribute('data-animate')).toBe('lists')
+        expect([...section.querySelectorAll('li')].map((item) => item.className)).toEqual(['fragment', 'fragment'])
+    })
+})
+
+describe('processSlides', () => {
+    it('should not parse sections rendered ahead of time again', async () => {
+        const section =
+            '<section class="cover" data-markdown="" data-markdown-prerendered="">' +
+            '<script type="text/template"># {{ metadata.title }}</script></section>'
+        document.body.innerHTML = section
+
+        await mdPlugin.processSlides(document.body)
+
+        expect(document.body.innerHTML).toBe(section)
+        document.body.innerHTML = ''
+    })
+
+    it('should give the slides of all sections different ids', async () => {
+        const section = '<section data-markdown><script type="text/template"># Intro\n\n---\n[[toc]]</script></section>'
+        document.body.innerHTML = '<section id="toc-intro">Welcome</section>' + section + section
+
+        await plugin().processSlides(document.body)
+
+        expect([...document.querySelectorAll('section[id]')].map((slide) => slide.id)).toEqual([
+            'toc-intro',
+            'toc-intro-2',
+            'toc-intro-3',
+        ])
+        expect(document.body.innerHTML).toContain('- [Intro](#/toc-intro-3)')
+        document.body.innerHTML = ''
+    })
+})
+
+describe('diagnostics', () => {
+    let deck
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {})
+        document.body.innerHTML =
+            '<div class="reveal"><div class="slides">' +
+            '<section data-markdown><script type="text/template">\n# Cover\n\n---\n```yaml\nslide: [cover\n```\n# Broken\n</script></section>' +
+            '</div></div>'
+        deck = {
+            getConfig: () => ({ markdown: { diagnostics: true } }),
+            getRevealElement: () => document.querySelector('.reveal'),
+            addKeyBinding: jest.fn(),
+            on: () => {},
+        }
+    })
+
+    afterEach(() => {
+        document.body.innerHTML = ''
+    })
+
+    it('should show the problems of the markdown with their line', async () => {
+        const diagnosticsPlugin = plugin()
+        await diagnosticsPlugin.init(deck)
+
+        expect(diagnosticsPlugin.getDiagnostics()).toEqual([
+            expect.objectContaining({ level: 'error', file: undefined, line: 5 }),
+        ])
+        expect(document.querySelector('section[data-source-lines="5-8"]')).not.toBeNull()
+        const overlay = document.querySelector('.reveal > .awesomd-diagnostics')
+        expect(overlay.querySelector('li.awesomd-diagnostics-error').textContent).toMatch(
+            /^5 Slide 2: invalid YAML metadata/
+        )
+    })
+
+    it('should toggle the overlay with its key binding', async () => {
+        const diagnosticsPlugin = plugin()
+        await diagnosticsPlugin.init(deck)
+        const [[binding, toggle]] = deck.addKeyBinding.mock.calls
+
+        expect(binding.key).toBe('D')
+        toggle()
+        expect(document.querySelector('.awesomd-diagnostics')).toBeNull()
+        toggle()
+        expect(document.querySelector('.awesomd-diagnostics')).not.toBeNull()
+    })
+})
+
+describe('live reload', () => {
+    let files
+    let requests
+    let deck
+
+    beforeEach(() => {
+        files = {
+            'deck.md': { text: '```yaml\nslide: cover\n```\n# Cover\n\n---\n!include part.md', etag: '1' },
+            'http://localhost/part.md': { text: '# Part', etag: '1' },
+            'http://localhost/templates/cover-template.html': { text: '# {{title}}!', etag: '1' },
+        }
+        requests = mockFiles(files)
+        jest.spyOn(window, 'setInterval').mockImplementation(() => 0)
+
+        document.body.innerHTML =
+            '<div class="reveal"><div class="slides">' +
+            '<section data-markdown="deck.md" data-templates="templates"></section>' +
+            '<section data-markdown><script type="text/template"># Inline</script></section>' +
+            '</div></div>'
+        deck = {
+            getConfig: () => ({ markdown: { liveReload: { interval: 500 } } }),
+            getRevealElement: () => document.querySelector('.reveal'),
+            getIndices: () => ({ h: 1, v: 0, f: undefined }),
+            on: () => {},
+            sync: jest.fn(),
+            slide: jest.fn(),
+        }
+    })
+
+    afterEach(() => {
+        document.body.innerHTML = ''
+    })
+
+    const getSlideTexts = () => [...document.querySelectorAll('section')].map((section) => section.textContent.trim())
+
+    it.each([
+        ['deck.md', { text: '```yaml\nslide: cover\n```\n# Changed\n\n---\n!include part.md', etag: '2' }, 'Changed!'],
+        ['http://localhost/part.md', { text: '# Changed part', etag: '2' }, 'Changed part'],
+        ['http://localhost/templates/cover-template.html', { text: '# {{title}}?', etag: '2' }, 'Cover?'],
+    ])('should render the slides again when %s changes', async (url, file, expectedText) => {
+        const livePlugin = plugin()
+        await livePlugin.init(deck)
+        expect(window.setInterval).toHaveBeenCalledWith(expect.any(Function), 500)
+        expect(getSlideTexts()).toEqual(['Cover!', 'Part', 'Inline'])
+        const inlineSlide = document.querySelectorAll('section')[2]
+
+        files[url] = file
+        await livePlugin.reloadChangedSources()
+
+        expect(getSlideTexts()).toContain(expectedText)
+        expect(document.querySelectorAll('section')[2]).toBe(inlineSlide)
+        expect(deck.sync).toHaveBeenCalled()
+        expect(deck.slide).toHaveBeenCalledWith(1, 0, undefined)
+    })
+
+    it('should bypass the HTTP cache when fetching the changed files again', async () => {
+        const livePlugin = plugin()
+        await livePlugin.init(deck)
+        const getRequests = () => requests.filter(({ method }) => method === 'GET')
+        expect(getRequests().map(({ headers }) => headers)).toEqual([{}, {}, {}])
+
+        files['http://localhost/part.md'] = { text: '# Changed part', etag: '2' }
+        requests.length = 0
+        await livePlugin.reloadChangedSources()
+
+        expect(getRequests().map(({ url, headers }) => [url, headers['Cache-Control']])).toEqual([
+            ['deck.md', 'no-cache'],
+            ['http://localhost/part.md', 'no-cache'],
+        ])
+    })
+
+    it('should not render the slides again without changes', async () => {
+        const livePlugin = plugin()
+        await livePlugin.init(deck)
+        const slides = [...document.querySelectorAll('section')]
+
+        await livePlugin.reloadChangedSources()
 
-![img alt](https://picsum.photos/100/100)
-
-- hello
-- world
-
-1. hello
-2. world`
-
-    const expectedSplitedMarkdownContent = [
-        '',
-        '> [!CAUTION]\n' + '> Advises about risks or negative outcomes of certain actions.',
-        '',
-        "```js\nconsole.log('hello')\nconsole.log('world')\n```",
-        '',
-        'some content',
-        '',
-        '![img alt](https://picsum.photos/100/100)',
-        '',
-        '- hello\n- world',
-        '',
-        '1. hello\n2. world',
-    ]
-    it('should split content of slide into different blocks', () => {
-        const splitedMarkdownContent = mdPlugin.splitSlideContentIntoBlocks(markdownContent)
-        expect(splitedMarkdownContent).toEqual(expectedSplitedMarkdownContent)
+        expect([...document.querySelectorAll('section')]).toEqual(slides)
+        expect(deck.sync).not.toHaveBeenCalled()
     })
 })